@@ -26,4 +26,9 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // build and test tooling next to this file runs in Node
+    files: ['*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ])
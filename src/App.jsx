@@ -1,67 +1,155 @@
 import { useEffect, useMemo, useRef, useState } from 'react'
 import './styles.css'
 import SettingsIcon from './components/SettingsIcon'
-import { loadState, saveState } from './lib/storage'
-import { listCurrencies, getRate, formatMoney } from './lib/fx'
+import ExpenseLog from './components/ExpenseLog'
+import PayScheduleSettings from './components/PayScheduleSettings'
+import BillsPanel from './components/BillsPanel'
+import AccountsPanel from './components/AccountsPanel'
+import HistoryView from './components/HistoryView'
+import HistoryIcon from './components/HistoryIcon'
+import DataPanel from './components/DataPanel'
+import ProviderSettings from './components/ProviderSettings'
+import NotificationSettings from './components/NotificationSettings'
+import SavingsSettings from './components/SavingsSettings'
+import WeightingSettings from './components/WeightingSettings'
+import CalendarSettings from './components/CalendarSettings'
+import CurrencyPicker from './components/CurrencyPicker'
+import ScenarioPanel from './components/ScenarioPanel'
+import { loadState, saveState, clearState, saveMeta, loadBackgroundRates, mergeRates } from './lib/storage'
+import { listCurrencies, fetchRateTable, getProvider, formatMoney, DEFAULT_PROVIDERS } from './lib/fx'
+import { storeRates, needsRefresh, convertRate, formatAge } from './lib/rates'
+import {
+  registerPeriodicRateSync, requestRateSync, onServiceWorkerMessage, configureApiCache,
+  watchForUpdates, applyUpdate, getWorkerVersion
+} from './lib/background'
+import { createExpense, updateExpense } from './lib/ledger'
+import { DEFAULT_CALENDAR, parseISODate, budgetDay, msUntilNextDay } from './lib/dates'
+import { DEFAULT_SCHEDULE, nextPayday } from './lib/payschedule'
+import { createBill, advanceBill } from './lib/bills'
+import { createAccount } from './lib/accounts'
+import { recordSnapshot } from './lib/history'
+import { applyBackup } from './lib/backup'
+import { DEFAULT_NOTIFICATIONS, deliverNotifications, morningTime } from './lib/notifications'
+import { DEFAULT_SAVINGS } from './lib/savings'
+import { DEFAULT_WEIGHTING } from './lib/weighting'
+import { LANGUAGES, setLanguage, getLocale, t, formatNumber, formatDate } from './lib/i18n'
+import { minorUnits, floorMoney, roundMoney, sumMoney } from './lib/money'
+import { toggleFavorite, pushRecent, togglePinned, swapPinned, PINNED_LIMIT } from './lib/currencies'
+import { computeBudget, defaultPaydate } from './lib/budget'
+import { createScenario, applyScenario, promoteScenario } from './lib/scenarios'
+import { parseLink, scenarioLink, stripLink } from './lib/links'
+import AmountInput from './components/AmountInput'
 
 const DEFAULTS = {
   balance: '',
   srcCurrency: 'EUR',
   dstCurrency: 'USD',
   paydate: '',
+  paySchedule: DEFAULT_SCHEDULE,
   useConversion: false,
-  provider: 'frankfurter',
-  apiKey: '',
-  lastRate: null,
+  providers: DEFAULT_PROVIDERS, // failover order, first is primary
+  apiKeys: {},
+  rateTable: {}, // bulk rates per base currency, see lib/rates
+  offlineRateDays: 3, // how long the service worker may answer rate requests from its cache
   cachedCurrencies: null,
-  lastPerDay: null // Store last calculated per day amount
+  favoriteCurrencies: [], // pinned to the top of the currency picker
+  recentCurrencies: [], // most recently picked first
+  pinnedCurrencies: [], // today's budget is shown in these too, under the main amount
+  lastPerDay: null, // Store last calculated per day amount
+  expenses: [],
+  balanceSetAt: null, // Expenses logged before this are already part of the balance
+  trackDaily: false,
+  dayBudget: null, // { date, paydate, allowance, rollover } fixed at the start of each day
+  bills: [],
+  accounts: [], // extra wallets on top of the main balance, each in its own currency
+  history: [], // one snapshot per day: { date, paydate, currency, balance, allowance, spent }
+  notifications: DEFAULT_NOTIFICATIONS,
+  savings: DEFAULT_SAVINGS, // amount held back from the daily budget until payday
+  weighting: DEFAULT_WEIGHTING, // how the budget is split across weekdays
+  calendar: DEFAULT_CALENDAR, // time zone, when a budget day starts, whether payday is spent
+  scenarios: [], // what-if sandbox next to the live budget, see lib/scenarios
+  language: 'auto' // UI language and number format; 'auto' follows the browser
 }
 
-function nextMonthFifteenthISO() {
-  const now = new Date()
-  const y = now.getFullYear()
-  const m = now.getMonth()
-  const d = now.getDate()
-  
-  // If we haven't passed the 15th yet this month, use current month
-  const targetMonth = d < 15 ? m : m + 1
-  const d15next = new Date(y, targetMonth, 15, 23, 59, 59)
-  
-  const yyyy = d15next.getFullYear()
-  const mm = String(d15next.getMonth() + 1).padStart(2, '0')
-  const dd = String(d15next.getDate()).padStart(2, '0')
-  return `${yyyy}-${mm}-${dd}`
+function budgetSubtitle(weighted, bills, savings) {
+  const suffix = bills && savings ? 'AfterBillsAndSavings' : bills ? 'AfterBills' : savings ? 'AfterSavings' : ''
+  return t(`result.budget.${weighted ? 'today' : 'daily'}${suffix}`)
 }
 
-function formatNumberWithCommas(value) {
-  if (!value) return ''
-  // Remove non-numeric characters except decimal point
-  const cleaned = value.toString().replace(/[^\d.]/g, '')
-  const parts = cleaned.split('.')
-  // Add thousand separators
-  parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',')
-  // Limit decimals to 2 places
-  if (parts[1]) {
-    parts[1] = parts[1].substring(0, 2)
-  }
-  return parts.join('.')
+// What a rate line says about where the rate came from and how old it is
+function describeRate(rate, from, to, primaryProvider) {
+  const fallback = rate.provider === 'manual'
+    ? ` ${t('rate.manual')}`
+    : rate.provider && rate.provider !== primaryProvider
+      ? ` ${t('rate.viaProvider', { provider: getProvider(rate.provider)?.name || rate.provider })}`
+      : ''
+  const derived = rate.derived ? ` ${t('rate.crossRate', { via: rate.via })}` : ''
+  const published = rate.date ? ` • ${formatDate(parseISODate(rate.date))}` : ''
+  const age = rate.offline || rate.stale
+    ? ` ${t('rate.offline', { age: formatAge(Date.now() - rate.fetchedAt) })}`
+    : ''
+  const value = formatNumber(rate.value, { minimumFractionDigits: 4, maximumFractionDigits: 4 })
+  return `${t('rate.line', { from, value, to })}${derived}${fallback}${published}${age}`
 }
 
 export default function App(){
+  // a shared link may bring a what-if scenario or a view to open, see lib/links
+  const [initialLink] = useState(() => parseLink(window.location.href))
+  const [linkScenario, setLinkScenario] = useState(initialLink.scenario)
+  const [copiedLink, setCopiedLink] = useState(null) // 'live', 'shared' or a scenario id while the copy is confirmed
   const [currencies, setCurrencies] = useState([])
   const [currenciesLoading, setCurrenciesLoading] = useState(true)
-  const [settingsOpen, setSettingsOpen] = useState(false)
+  const [settingsOpen, setSettingsOpen] = useState(initialLink.view === 'settings')
+  const [historyOpen, setHistoryOpen] = useState(initialLink.view === 'history')
   const [currencyPickerOpen, setCurrencyPickerOpen] = useState(false)
   const [currencyPickerType, setCurrencyPickerType] = useState('src')
   const [isOnline, setIsOnline] = useState(navigator.onLine)
   const [isStandalone, setIsStandalone] = useState(false)
+  const [waitingWorker, setWaitingWorker] = useState(null)
+  const [appVersion, setAppVersion] = useState(null)
   const [animatedValue, setAnimatedValue] = useState(null)
+  const [balanceFocused, setBalanceFocused] = useState(false)
 
   const [state, setState] = useState(() => {
     const s = { ...DEFAULTS, ...loadState() }
-    if (!s.paydate) s.paydate = nextMonthFifteenthISO()
+    // imports used to let through objects where lists belong
+    for (const key of ['providers', 'favoriteCurrencies', 'recentCurrencies', 'pinnedCurrencies']) {
+      if (!Array.isArray(s[key])) s[key] = DEFAULTS[key]
+    }
+    s.paySchedule = { ...DEFAULT_SCHEDULE, ...s.paySchedule }
+    s.notifications = { ...DEFAULT_NOTIFICATIONS, ...s.notifications }
+    s.savings = { ...DEFAULT_SAVINGS, ...s.savings }
+    s.weighting = { ...DEFAULT_WEIGHTING, ...s.weighting }
+    s.calendar = { ...DEFAULT_CALENDAR, ...s.calendar }
+    s.paydate = nextPayday(s.paySchedule, new Date(), s.calendar) || s.paydate || defaultPaydate()
     return s
   })
+  const [currentDay, setCurrentDay] = useState(() => budgetDay(new Date(), state.calendar))
+
+  // strings and number formats everywhere below follow the chosen language
+  setLanguage(state.language)
+
+  useEffect(() => {
+    document.documentElement.lang = getLocale()
+  }, [state.language])
+
+  // the view from a link opens once, not again on every reload
+  useEffect(() => {
+    if (initialLink.view) window.history.replaceState(window.history.state, '', stripLink(window.location.href, ['view']))
+  }, [initialLink.view])
+
+  // links pasted into an open tab only change the hash
+  useEffect(() => {
+    const handler = () => setLinkScenario(parseLink(window.location.href).scenario)
+    window.addEventListener('hashchange', handler)
+    return () => window.removeEventListener('hashchange', handler)
+  }, [])
+
+  useEffect(() => {
+    if (!copiedLink) return
+    const timer = setTimeout(() => setCopiedLink(null), 2000)
+    return () => clearTimeout(timer)
+  }, [copiedLink])
 
   // Check if running as standalone PWA
   useEffect(() => {
@@ -107,6 +195,23 @@ export default function App(){
     };
   }, []);
 
+  // roll over to a new budget day when the next one starts
+  useEffect(() => {
+    const timer = setTimeout(
+      () => setCurrentDay(budgetDay(new Date(), state.calendar)),
+      msUntilNextDay(new Date(), state.calendar) + 1000
+    )
+    return () => clearTimeout(timer)
+  }, [currentDay, state.calendar])
+
+  // roll scheduled paydays forward once they pass
+  useEffect(() => {
+    const next = nextPayday(state.paySchedule, new Date(), state.calendar)
+    if (next && next !== state.paydate) {
+      setState(s => ({ ...s, paydate: next }))
+    }
+  }, [state.paySchedule, state.paydate, state.calendar, currentDay])
+
   // monitor online status
   useEffect(() => {
     const handleOnline = () => setIsOnline(true)
@@ -121,6 +226,8 @@ export default function App(){
     }
   }, [])
 
+  const fxOptions = useMemo(() => ({ chain: state.providers, apiKeys: state.apiKeys }), [state.providers, state.apiKeys])
+
   // load currency list
   useEffect(() => {
     async function loadCurrencies() {
@@ -131,7 +238,7 @@ export default function App(){
         }
         
         if (isOnline) {
-          const freshCurrencies = await listCurrencies()
+          const freshCurrencies = await listCurrencies(fxOptions)
           setCurrencies(freshCurrencies)
           setState(s => ({ ...s, cachedCurrencies: freshCurrencies }))
         }
@@ -146,7 +253,7 @@ export default function App(){
     }
     
     loadCurrencies()
-  }, [isOnline])
+  }, [isOnline, state.providers])
 
   // install prompt
   useEffect(() => {
@@ -169,50 +276,116 @@ export default function App(){
     return () => window.removeEventListener('beforeinstallprompt', handler)
   }, [])
 
-  // register service worker
+  // register service worker (only built for production, see vite-plugin-sw.js)
   useEffect(() => {
-    if ('serviceWorker' in navigator) {
-      navigator.serviceWorker.register('/dailyspend/sw.js').catch(console.error)
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+    let stopWatching = () => {}
+    let cancelled = false
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+      .then(registration => {
+        if (!cancelled) stopWatching = watchForUpdates(registration, setWaitingWorker)
+        return registerPeriodicRateSync(registration)
+      })
+      .catch(console.error)
+    getWorkerVersion().then(version => { if (!cancelled) setAppVersion(version) })
+    return () => {
+      cancelled = true
+      stopWatching()
     }
   }, [])
 
-  // derived calculations
-  const { perDay, daysLeft, amountDisplay, convertedDisplay, rateLine, error } = useMemo(() => {
-    const out = { perDay: null, daysLeft: 0, amountDisplay: null, convertedDisplay: null, rateLine: '', error: '' }
-    const balance = Number(state.balance?.replace(/,/g, '') || 0)
-    if (!balance || !state.paydate) return out
-
-    const now = new Date()
-    const pay = new Date(state.paydate + 'T23:59:59')
-    const ms = pay - now
-    const day = 24 * 60 * 60 * 1000
-    const days = Math.ceil(ms / day)
-    
-    if (days <= 0) {
-      out.error = 'Choose a future payday.'
-      return out
+  // tell the service worker which rates to refresh in the background
+  useEffect(() => {
+    saveMeta('fx-config', { bases: [state.srcCurrency], chain: state.providers, apiKeys: state.apiKeys })
+  }, [state.srcCurrency, state.providers, state.apiKeys])
+
+  // keep the service worker's offline API cache within the configured age
+  useEffect(() => {
+    configureApiCache(state.offlineRateDays * 24 * 60 * 60 * 1000)
+  }, [state.offlineRateDays])
+
+  // pick up rates the service worker refreshed while the app is open
+  useEffect(() => {
+    return onServiceWorkerMessage('RATES_UPDATED', async () => {
+      const background = await loadBackgroundRates()
+      setState(s => ({ ...s, rateTable: mergeRates(s.rateTable, background) }))
+    })
+  }, [])
+
+  // derived calculations, see lib/budget
+  const budgetInput = useMemo(() => ({
+    balance: state.balance,
+    accounts: state.accounts,
+    currency: state.srcCurrency,
+    targetCurrency: state.useConversion ? state.dstCurrency : null,
+    pinnedCurrencies: state.pinnedCurrencies,
+    rateTable: state.rateTable,
+    paydate: state.paydate,
+    expenses: state.expenses,
+    balanceSetAt: state.balanceSetAt,
+    bills: state.bills,
+    savings: state.savings,
+    weighting: state.weighting,
+    trackDaily: state.trackDaily,
+    dayBudget: state.dayBudget,
+    calendar: state.calendar
+  }), [state])
+  const budget = useMemo(() => computeBudget(budgetInput), [budgetInput, currentDay])
+  // scenarios are worked out on the live numbers but never saved into them;
+  // the live column runs through the same path (an even split, without daily
+  // tracking) so all of them compare alike
+  const scenarioBudgets = useMemo(() => {
+    const run = scenario => computeBudget(applyScenario(budgetInput, scenario))
+    return {
+      live: run({}),
+      shared: linkScenario ? { scenario: linkScenario, result: run(linkScenario) } : null,
+      saved: state.scenarios.map(scenario => ({ scenario, result: run(scenario) }))
     }
-    out.daysLeft = days
+  }, [budgetInput, linkScenario, state.scenarios, currentDay])
+  const { perDay, daysLeft, spent, reserved, reservations, daily, dayBudget, snapshot, savings, week, displayCurrency } = budget
+  const accountBreakdown = budget.accounts
+  // bills that can't be marked paid until there's a rate into the main currency
+  const unconvertedBills = useMemo(
+    () => state.bills.filter(b => !convertRate(state.rateTable, b.currency, state.srcCurrency)).map(b => b.id),
+    [state.bills, state.rateTable, state.srcCurrency]
+  )
+  const error = budget.error ? t(`error.${budget.error}`) : ''
 
-    out.amountDisplay = formatMoney(balance, state.srcCurrency)
-    const originalPerDay = Math.floor(balance / days)
+  const rateLine = useMemo(() => {
+    if (budget.status !== 'ok' || !budget.conversion) return ''
+    return describeRate(budget.conversion.rate, budget.currency, budget.conversion.currency, state.providers[0])
+  }, [budget, state.providers])
+  const convertedDisplay = budget.status === 'ok' && budget.conversion
+    ? formatMoney(budget.balance * budget.conversion.rate.value, budget.conversion.currency)
+    : null
 
-    if (state.useConversion && state.srcCurrency !== state.dstCurrency && state.lastRate && 
-        state.lastRate.from === state.srcCurrency && state.lastRate.to === state.dstCurrency) {
-      const convertedAmount = balance * state.lastRate.value
-      const convertedPerDay = Math.floor(convertedAmount / days)
-      out.convertedDisplay = formatMoney(convertedAmount, state.dstCurrency)
-      out.perDay = convertedPerDay
-      
-      const rateAge = Date.now() - state.lastRate.timestamp
-      const isStale = rateAge > 24 * 60 * 60 * 1000
-      out.rateLine = `1 ${state.srcCurrency} = ${state.lastRate.value.toFixed(4)} ${state.dstCurrency}${isStale ? ' (cached)' : ''}`
-    } else {
-      out.perDay = originalPerDay
+  // fix today's allowance the first time it is computed (not mid-way through typing a balance)
+  useEffect(() => {
+    if (dayBudget && dayBudget !== state.dayBudget && !balanceFocused) {
+      setState(s => ({ ...s, dayBudget }))
     }
+  }, [dayBudget, balanceFocused])
 
-    return out
-  }, [state])
+  // keep today's entry in the history up to date
+  useEffect(() => {
+    if (!snapshot) return
+    setState(s => {
+      const history = recordSnapshot(s.history, snapshot)
+      return history === s.history ? s : { ...s, history }
+    })
+  }, [snapshot])
+
+  // budget reminders: checked whenever the numbers change and again at the morning reminder time
+  useEffect(() => {
+    if (!snapshot || !state.notifications.enabled) return
+    const icon = `${import.meta.env.BASE_URL}icons/icon-192.png`
+    const check = () => deliverNotifications(state.notifications, snapshot, icon, state.language, state.calendar)
+    check()
+    const morning = morningTime(state.notifications, new Date(), state.calendar)
+    if (!morning || morning <= new Date()) return
+    const timer = setTimeout(check, morning - new Date())
+    return () => clearTimeout(timer)
+  }, [snapshot, state.notifications, state.language, state.calendar])
 
   // Animate number changes
   useEffect(() => {
@@ -221,8 +394,8 @@ export default function App(){
       
       if (lastValue !== null && lastValue !== perDay && Math.abs(lastValue - perDay) > 0.01) {
                   // Animate from last value to new value
-        const startValue = Math.floor(lastValue)
-        const endValue = Math.floor(perDay)
+        const startValue = lastValue
+        const endValue = perDay
         const duration = 1000 // 1 second
         const startTime = Date.now()
         
@@ -232,7 +405,7 @@ export default function App(){
           
           // Ease out cubic
           const easeProgress = 1 - Math.pow(1 - progress, 3)
-          const currentValue = Math.floor(startValue + (endValue - startValue) * easeProgress)
+          const currentValue = floorMoney(startValue + (endValue - startValue) * easeProgress, displayCurrency)
           
           setAnimatedValue(currentValue)
           
@@ -264,23 +437,43 @@ export default function App(){
 
   useEffect(() => {
     maybeFetchRate()
-  }, [state.useConversion, state.srcCurrency, state.dstCurrency, state.provider, state.apiKey, isOnline])
+  }, [state.useConversion, state.srcCurrency, state.dstCurrency, state.pinnedCurrencies, state.bills, state.accounts, fxOptions, isOnline])
 
-  async function maybeFetchRate(){
-    if (!isOnline) return
-    if (!(state.useConversion && state.srcCurrency !== state.dstCurrency)) return
-    
-    if (state.lastRate && state.lastRate.from === state.srcCurrency && 
-        state.lastRate.to === state.dstCurrency &&
-        (Date.now() - state.lastRate.timestamp) < 60 * 60 * 1000) {
+  // a scenario in another currency needs rates from that currency, unless
+  // the ones we hold already cross over to it
+  useEffect(() => {
+    const scenarios = linkScenario ? [linkScenario, ...state.scenarios] : state.scenarios
+    for (const scenario of scenarios) {
+      const base = scenario.currency || state.srcCurrency
+      const targets = [state.srcCurrency, scenario.targetCurrency].filter(Boolean)
+      if (targets.some(code => !convertRate(state.rateTable, base, code))) refreshRates(base)
+    }
+  }, [linkScenario, state.scenarios, state.srcCurrency, state.rateTable, fxOptions, isOnline])
+
+  // One bulk fetch against the base currency covers the display and pinned
+  // currencies as well as every bill and account currency.
+  function maybeFetchRate(){
+    const base = state.srcCurrency
+    const foreign = [...state.bills, ...state.accounts].some(item => item.currency !== base) ||
+      state.pinnedCurrencies.some(code => code !== base)
+    if (!((state.useConversion && base !== state.dstCurrency) || foreign)) return
+    refreshRates(base)
+  }
+
+  async function refreshRates(base) {
+    if (!needsRefresh(state.rateTable, base)) return
+    // let the service worker pick it up once we're back online
+    if (!isOnline) {
+      requestRateSync()
       return
     }
     
     try {
-      const r = await getRate(state.srcCurrency, state.dstCurrency, state.provider, state.apiKey)
-      setState(s => ({ ...s, lastRate: { ...r, from: s.srcCurrency, to: s.dstCurrency } }))
+      const entry = await fetchRateTable(base, fxOptions)
+      setState(s => ({ ...s, rateTable: storeRates(s.rateTable, entry) }))
     } catch (e) {
       console.warn('Rate fetch failed:', e)
+      requestRateSync()
     }
   }
 
@@ -288,33 +481,105 @@ export default function App(){
     setState(s => ({ ...s, [k]: v })) 
   }
 
-  function handleBalanceChange(e) {
-    const value = e.target.value
-      .replace(/[^\d.]/g, '') // Only allow digits and decimal point
-      .replace(/(\..*)\./g, '$1') // Only allow one decimal point
-    onChange('balance', value)
+  function handleBalanceChange(value) {
+    setState(s => ({ ...s, balance: value }))
+  }
+
+  // A retyped balance already reflects the spending logged so far, but only
+  // once the edit is done; fixing a digit mid-way shouldn't settle anything.
+  const balancesAtFocus = useRef(null)
+  const balancesKey = s => JSON.stringify([s.balance, s.accounts.map(a => a.balance)])
+
+  function startBalanceEdit() {
+    balancesAtFocus.current = balancesKey(state)
   }
 
-  function handleBalanceBlur(e) {
-    const rawValue = e.target.value.replace(/,/g, '')
-    const formatted = formatNumberWithCommas(rawValue)
-    onChange('balance', formatted)
+  function commitBalanceEdit() {
+    const before = balancesAtFocus.current
+    balancesAtFocus.current = null
+    setState(s => before === null || balancesKey(s) === before ? s : { ...s, balanceSetAt: Date.now() })
   }
 
   function handleBalanceFocus(e) {
-    // Remove commas when focused
-    const rawValue = e.target.value.replace(/,/g, '')
-    onChange('balance', rawValue)
+    setBalanceFocused(true)
+    startBalanceEdit()
     // Select all content
     e.target.select()
   }
 
+  function handleBalanceBlur() {
+    setBalanceFocused(false)
+    commitBalanceEdit()
+  }
+
   function handleBalanceKeyDown(e) {
     if (e.key === 'Enter') {
       e.target.blur()
     }
   }
 
+  function addExpense(fields) {
+    setState(s => ({ ...s, expenses: [...s.expenses, createExpense(fields)] }))
+  }
+
+  function editExpense(id, changes) {
+    setState(s => ({
+      ...s,
+      expenses: s.expenses.map(e => e.id === id ? updateExpense(e, changes) : e)
+    }))
+  }
+
+  function deleteExpense(id) {
+    setState(s => ({ ...s, expenses: s.expenses.filter(e => e.id !== id) }))
+  }
+
+  function addBill(fields) {
+    setState(s => ({ ...s, bills: [...s.bills, createBill(fields)] }))
+  }
+
+  // paying a bill logs it as spending and moves it on to its next due date
+  function payBill(id) {
+    setState(s => {
+      const bill = s.bills.find(b => b.id === id)
+      if (!bill) return s
+      const rate = convertRate(s.rateTable, bill.currency, s.srcCurrency)
+      // logging the foreign amount as if it were the main currency would be wrong
+      if (!rate) return s
+      const expense = createExpense({
+        amount: roundMoney(bill.amount * rate.value, s.srcCurrency),
+        note: bill.name,
+        category: 'bills'
+      })
+      const next = advanceBill(bill)
+      return {
+        ...s,
+        expenses: [...s.expenses, expense],
+        bills: next ? s.bills.map(b => b.id === id ? next : b) : s.bills.filter(b => b.id !== id)
+      }
+    })
+  }
+
+  // adding an account settles none of the spending logged so far; only a
+  // committed balance edit does (see commitBalanceEdit)
+  function addAccount(fields) {
+    setState(s => ({ ...s, accounts: [...s.accounts, createAccount(fields)] }))
+  }
+
+  function editAccount(id, changes) {
+    setState(s => ({
+      ...s,
+      accounts: s.accounts.map(a => a.id === id ? { ...a, ...changes } : a)
+    }))
+  }
+
+  function deleteAccount(id) {
+    setState(s => ({ ...s, accounts: s.accounts.filter(a => a.id !== id) }))
+  }
+
+  function deleteBill(id) {
+    setState(s => ({ ...s, bills: s.bills.filter(b => b.id !== id) }))
+  }
+
   function openCurrencyPicker(type) {
     setCurrencyPickerType(type)
     setCurrencyPickerOpen(true)
@@ -323,13 +588,104 @@ export default function App(){
   function selectCurrency(code) {
     if (currencyPickerType === 'src') {
       onChange('srcCurrency', code)
+    } else if (currencyPickerType === 'pin') {
+      if (!state.pinnedCurrencies.includes(code)) {
+        setState(s => ({ ...s, pinnedCurrencies: togglePinned(s.pinnedCurrencies, code) }))
+      }
     } else {
       onChange('dstCurrency', code)
     }
+    setState(s => ({ ...s, recentCurrencies: pushRecent(s.recentCurrencies, code) }))
     setCurrencyPickerOpen(false)
   }
 
-  const displayCurrency = (state.useConversion && state.srcCurrency !== state.dstCurrency && state.lastRate) ? state.dstCurrency : state.srcCurrency
+  function unpinCurrency(code) {
+    setState(s => ({ ...s, pinnedCurrencies: togglePinned(s.pinnedCurrencies, code) }))
+  }
+
+  // tapping a pinned amount makes it the main one; the main currency itself
+  // is shown by switching conversion off
+  function showInCurrency(code) {
+    setState(s => {
+      const current = s.useConversion ? s.dstCurrency : s.srcCurrency
+      const pinnedCurrencies = swapPinned(s.pinnedCurrencies, code, current)
+      return code === s.srcCurrency
+        ? { ...s, useConversion: false, pinnedCurrencies }
+        : { ...s, useConversion: true, dstCurrency: code, pinnedCurrencies }
+    })
+  }
+
+  function toggleFavoriteCurrency(code) {
+    setState(s => ({ ...s, favoriteCurrencies: toggleFavorite(s.favoriteCurrencies, code) }))
+  }
+
+  // With conversion on, each entry shows what it would convert at: the main
+  // currency against the target one, or the other way round
+  function currencyPreview(code) {
+    if (!state.useConversion && currencyPickerType !== 'pin') return null
+    const [from, to] = currencyPickerType === 'src' ? [code, state.dstCurrency] : [state.srcCurrency, code]
+    if (from === to) return null
+    const rate = convertRate(state.rateTable, from, to)
+    if (!rate) return null
+    const value = formatNumber(rate.value, { maximumSignificantDigits: 5 })
+    return t('rate.line', { from, value, to })
+  }
+
+  // what the live numbers look like as a scenario for someone else
+  function liveScenario() {
+    return {
+      balance: String(sumMoney([budget.balance, reserved], budget.currency)),
+      currency: budget.currency,
+      paydate: state.paydate,
+      targetCurrency: budget.conversion ? budget.conversion.currency : undefined
+    }
+  }
+
+  async function copyLink(which, scenario) {
+    const href = scenarioLink(window.location.href, scenario)
+    try {
+      await navigator.clipboard.writeText(href)
+      setCopiedLink(which)
+    } catch {
+      // no clipboard access (plain http, older browsers): let it be copied by hand
+      window.prompt(t('link.copyPrompt'), href)
+    }
+  }
+
+  function closeSharedScenario() {
+    setLinkScenario(null)
+    window.history.replaceState(window.history.state, '', stripLink(window.location.href))
+  }
+
+  function addScenario() {
+    setState(s => ({ ...s, scenarios: [...s.scenarios, createScenario()] }))
+  }
+
+  function keepSharedScenario() {
+    setState(s => ({ ...s, scenarios: [...s.scenarios, createScenario(linkScenario)] }))
+    closeSharedScenario()
+  }
+
+  function editScenario(id, changes) {
+    setState(s => ({ ...s, scenarios: s.scenarios.map(c => c.id === id ? { ...c, ...changes } : c) }))
+  }
+
+  function deleteScenario(id) {
+    setState(s => ({ ...s, scenarios: s.scenarios.filter(c => c.id !== id) }))
+  }
+
+  function makeScenarioLive(scenario) {
+    if (scenario.balance && state.accounts.length && !confirm(t('scenario.promoteAccounts'))) return
+    setState(s => promoteScenario(s, scenario))
+  }
+
+  // empty scenario fields show what they'd fall back to
+  const scenarioPlaceholders = {
+    balance: budget.status === 'ok' ? liveScenario().balance : '',
+    paydate: state.paydate,
+    rate: budget.conversion ? String(Number(budget.conversion.rate.value.toPrecision(6))) : ''
+  }
+
   const displayValue = animatedValue !== null ? animatedValue : perDay
 
   return (
@@ -338,62 +694,228 @@ export default function App(){
         <h1 className="app-title">DailySpend</h1>
         <div className="header-controls">
           {!isOnline && (
-            <div className="offline-indicator">Offline</div>
+            <div className="offline-indicator">{t('app.offline')}</div>
           )}
+          <button
+            onClick={() => setHistoryOpen(true)}
+            className="settings-btn"
+            aria-label={t('app.openHistory')}
+          >
+            <HistoryIcon />
+          </button>
           <button
             onClick={() => setSettingsOpen(true)}
             className="settings-btn"
-            aria-label="Open settings"
+            aria-label={t('app.openSettings')}
           >
             <SettingsIcon />
           </button>
         </div>
       </div>
 
+      {waitingWorker && (
+        <div className="update-banner" role="status">
+          <span>{t('app.updateAvailable')}</span>
+          <button onClick={() => applyUpdate(waitingWorker)} className="update-btn">{t('app.reload')}</button>
+          <button
+            onClick={() => setWaitingWorker(null)}
+            className="update-dismiss"
+            aria-label={t('app.dismissUpdate')}
+          >
+            ×
+          </button>
+        </div>
+      )}
+
       <div className="main-content">
-        
+
         {/* Result Display */}
         <div className="result-card">
           {error ? (
             <div className="error-message">{error}</div>
-          ) : displayValue && daysLeft ? (
+          ) : displayValue !== null && daysLeft ? (
             <>
               <div className="amount-display">
                 <div className="big-number">
-                  {Number(displayValue).toLocaleString('en-GB', { 
+                  {formatNumber(Number(displayValue), {
                     minimumFractionDigits: 0,
-                    maximumFractionDigits: 2 
+                    maximumFractionDigits: minorUnits(displayCurrency)
                   })}
                 </div>
                 <div className="currency-label">{displayCurrency}</div>
               </div>
-              <div className="result-subtitle">Daily spending budget</div>
+              {daily ? (
+                <>
+                  <div className={`result-subtitle ${perDay < 0 ? 'over-budget' : ''}`}>
+                    {perDay < 0 ? t('result.overToday') : t('result.remainingToday')}
+                  </div>
+                  <div className="result-meta">
+                    {t('result.allowanceSpent', {
+                      allowance: formatMoney(daily.allowance, displayCurrency),
+                      spent: formatMoney(daily.spentToday, displayCurrency)
+                    })}
+                  </div>
+                  {daily.rollover !== 0 && (
+                    <div className="result-meta">
+                      {daily.rollover > 0
+                        ? t('result.rolloverUnspent', { amount: formatMoney(daily.rollover, displayCurrency) })
+                        : t('result.rolloverOverspent', { amount: formatMoney(-daily.rollover, displayCurrency) })}
+                    </div>
+                  )}
+                </>
+              ) : (
+                <div className="result-subtitle">
+                  {budgetSubtitle(Boolean(week), reserved > 0, Boolean(savings))}
+                </div>
+              )}
               <div className={`result-meta ${convertedDisplay ? 'with-conversion' : ''}`}>
-                {daysLeft} day{daysLeft !== 1 ? 's' : ''} left until payday
+                {t('result.daysLeft', { count: daysLeft })}
+                {spent > 0 && ` • ${t('result.spent', { amount: formatMoney(spent, state.srcCurrency) })}`}
               </div>
+              {week && week.length > 1 && (
+                <div className="week-view">
+                  {week.map((day, i) => (
+                    <div key={day.date} className={`week-day ${i === 0 ? 'today' : ''}`}>
+                      <span className="week-day-name">
+                        {i === 0 ? t('result.today') : formatDate(parseISODate(day.date), { weekday: 'short' })}
+                      </span>
+                      <span className="week-day-amount">
+                        {formatNumber(day.amount, { maximumFractionDigits: minorUnits(displayCurrency) })}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {savings && (
+                <div className="savings-progress">
+                  <div className="savings-line">
+                    <span>{savings.name || t('savings.goal')}</span>
+                    <span>
+                      {t('savings.progress', {
+                        projected: formatMoney(savings.projected, state.srcCurrency),
+                        target: formatMoney(savings.target, state.srcCurrency)
+                      })}
+                    </span>
+                  </div>
+                  <div className="savings-bar">
+                    <div
+                      className={`savings-fill ${savings.onTrack ? '' : 'behind'}`}
+                      style={{ width: `${Math.round(savings.progress * 100)}%` }}
+                    />
+                  </div>
+                  <div className="savings-status">
+                    {savings.onTrack
+                      ? t('savings.onTrack')
+                      : t('savings.behind', { amount: formatMoney(savings.target - savings.projected, state.srcCurrency) })}
+                  </div>
+                </div>
+              )}
               {convertedDisplay && (
                 <div className="conversion-info">
-                  Total: {convertedDisplay} • {rateLine}
+                  {t('result.total', { amount: convertedDisplay })} • {rateLine}
+                </div>
+              )}
+              {budget.pinned.length > 0 && (
+                <div className="pinned-currencies">
+                  {budget.pinned.map(({ currency, rate, perDay: amount }) => (
+                    <button
+                      key={currency}
+                      onClick={() => showInCurrency(currency)}
+                      className={`pinned-currency ${rate && (rate.stale || rate.offline) ? 'stale' : ''}`}
+                      title={t('pinned.switch', { currency })}
+                    >
+                      <span className="pinned-amount">
+                        {amount === null ? `${currency} ${t('result.noRateYet')}` : formatMoney(amount, currency)}
+                      </span>
+                      {rate && currency !== budget.currency && (
+                        <span className="pinned-rate">{describeRate(rate, budget.currency, currency, state.providers[0])}</span>
+                      )}
+                    </button>
+                  ))}
                 </div>
               )}
+              {accountBreakdown.length > 0 && (
+                <details className="reserved-breakdown">
+                  <summary>
+                    {t('result.acrossAccounts', {
+                      amount: formatMoney(accountBreakdown.reduce((sum, a) => sum + (a.converted || 0), 0), state.srcCurrency),
+                      count: accountBreakdown.length
+                    })}
+                  </summary>
+                  <ul>
+                    {accountBreakdown.map(account => (
+                      <li key={account.id}>
+                        <span>{account.id === 'main' ? t('result.mainAccount') : account.name}</span>
+                        <span>
+                          {formatMoney(account.balance, account.currency)}
+                          {account.currency !== state.srcCurrency && (account.converted === null
+                            ? ` ${t('result.noRateYet')}`
+                            : ` ≈ ${formatMoney(account.converted, state.srcCurrency)}`)}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+              {reservations.length > 0 && (
+                <details className="reserved-breakdown">
+                  <summary>
+                    {t('result.reservedBills', { amount: formatMoney(reserved, state.srcCurrency), count: reservations.length })}
+                  </summary>
+                  <ul>
+                    {reservations.map(({ bill, dates, amount }) => (
+                      <li key={bill.id}>
+                        <span>{bill.name}{dates.length > 1 ? ` ×${dates.length}` : ''}</span>
+                        <span>
+                          {amount === null
+                            ? `${formatMoney(bill.amount * dates.length, bill.currency)} ${t('result.noRateYet')}`
+                            : formatMoney(amount, state.srcCurrency)}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+              <button onClick={() => copyLink('live', liveScenario())} className="copy-link-btn">
+                {copiedLink === 'live' ? t('link.copied') : t('link.copy')}
+              </button>
             </>
           ) : (
             <div className="placeholder-text">
-              Enter your balance and payday to get started
+              {t('result.placeholder')}
             </div>
           )}
         </div>
 
+        {/* What-if sandbox */}
+        <ScenarioPanel
+          live={scenarioBudgets.live}
+          untracked={state.trackDaily}
+          shared={scenarioBudgets.shared}
+          scenarios={scenarioBudgets.saved}
+          currency={state.srcCurrency}
+          targetCurrency={state.useConversion ? state.dstCurrency : null}
+          placeholders={scenarioPlaceholders}
+          copied={copiedLink}
+          onAdd={addScenario}
+          onUpdate={editScenario}
+          onDelete={deleteScenario}
+          onPromote={makeScenarioLive}
+          onCopyLink={copyLink}
+          onKeepShared={keepSharedScenario}
+          onCloseShared={closeSharedScenario}
+        />
+
         {/* Balance and Payday - Side by side */}
         <div className="input-row-container">
           <div className="glass-card half-width">
             <div className="inline-field">
-              <label className="field-label-inline">Balance</label>
-              <input
-                type="text"
-                inputMode="decimal"
+              <label className="field-label-inline">{t('input.balance')}</label>
+              <AmountInput
+                grouped
                 placeholder="0"
                 value={state.balance}
+                currency={state.srcCurrency}
                 onChange={handleBalanceChange}
                 onFocus={handleBalanceFocus}
                 onBlur={handleBalanceBlur}
@@ -412,13 +934,15 @@ export default function App(){
 
           <div className="glass-card half-width">
             <div className="inline-field">
-              <label className="field-label-inline">Payday</label>
+              <label className="field-label-inline">{t('input.payday')}</label>
               <input
                 type="date"
                 pattern="\d{4}-\d{2}-\d{2}"
                 placeholder="YYYY-MM-DD"
                 required
                 value={state.paydate}
+                disabled={state.paySchedule.type !== 'manual'}
+                title={state.paySchedule.type !== 'manual' ? t('input.paydayFromSchedule') : undefined}
                 onChange={e => {
                   const value = e.target.value;
                   // Ensure value is in YYYY-MM-DD format
@@ -437,9 +961,9 @@ export default function App(){
           <div className="currency-toggle">
             <div className="toggle-left">
               <div className="toggle-content">
-                <span className="toggle-text">Display in different currency</span>
+                <span className="toggle-text">{t('conversion.title')}</span>
                 <div className="toggle-subtitle">
-                  {state.useConversion ? `Converting to ${state.dstCurrency}` : 'Conversion disabled'}
+                  {state.useConversion ? t('conversion.on', { currency: state.dstCurrency }) : t('conversion.off')}
                 </div>
               </div>
             </div>
@@ -461,16 +985,64 @@ export default function App(){
               </label>
             </div>
           </div>
+          <div className="pinned-manage">
+            <span className="toggle-subtitle">{t('pinned.title')}</span>
+            {state.pinnedCurrencies.map(code => (
+              <span key={code} className="pinned-tag">
+                {code}
+                <button onClick={() => unpinCurrency(code)} aria-label={t('pinned.remove', { currency: code })}>×</button>
+              </span>
+            ))}
+            {state.pinnedCurrencies.length < PINNED_LIMIT && (
+              <button onClick={() => openCurrencyPicker('pin')} className="pinned-add" disabled={currenciesLoading}>
+                {t('pinned.add')}
+              </button>
+            )}
+          </div>
         </div>
 
+        {/* Expense Log */}
+        <ExpenseLog
+          expenses={state.expenses}
+          balanceSetAt={state.balanceSetAt}
+          currency={state.srcCurrency}
+          autoFocus={initialLink.view === 'expense'}
+          onAdd={addExpense}
+          onUpdate={editExpense}
+          onDelete={deleteExpense}
+        />
+
+        {/* Other Accounts */}
+        <AccountsPanel
+          accounts={state.accounts}
+          currencies={currencies}
+          baseCurrency={state.srcCurrency}
+          onAdd={addAccount}
+          onUpdate={editAccount}
+          onBalanceFocus={startBalanceEdit}
+          onBalanceBlur={commitBalanceEdit}
+          onDelete={deleteAccount}
+        />
+
+        {/* Planned Bills */}
+        <BillsPanel
+          bills={state.bills}
+          currencies={currencies}
+          defaultCurrency={state.srcCurrency}
+          unconverted={unconvertedBills}
+          onAdd={addBill}
+          onPay={payBill}
+          onDelete={deleteBill}
+        />
+
         {/* PWA Install Button - Hidden when standalone */}
         {!isStandalone && (
           <div className="install-section">
             <button id="install-btn" hidden className="install-btn">
-              Install App
+              {t('app.install')}
             </button>
             <div className="install-hint">
-              On iPhone: Share → "Add to Home Screen"
+              {t('app.installHint')}
             </div>
           </div>
         )}
@@ -478,23 +1050,25 @@ export default function App(){
 
       {/* Currency Picker Modal */}
       {currencyPickerOpen && (
-        <div className="modal-overlay" onClick={() => setCurrencyPickerOpen(false)}>
-          <div className="modal-panel picker" onClick={e => e.stopPropagation()}>
-            <div className="modal-handle"></div>
-            <h3 className="modal-title">Select Currency</h3>
-            <div className="currency-list">
-              {currencies.map(([code, name]) => (
-                <button
-                  key={code}
-                  onClick={() => selectCurrency(code)}
-                  className="currency-item"
-                >
-                  <span className="currency-code">{code}</span> — {name}
-                </button>
-              ))}
-            </div>
-          </div>
-        </div>
+        <CurrencyPicker
+          currencies={currencies}
+          selected={currencyPickerType === 'src' ? state.srcCurrency : currencyPickerType === 'dst' ? state.dstCurrency : null}
+          favorites={state.favoriteCurrencies}
+          recents={state.recentCurrencies}
+          preview={currencyPreview}
+          onSelect={selectCurrency}
+          onToggleFavorite={toggleFavoriteCurrency}
+          onClose={() => setCurrencyPickerOpen(false)}
+        />
+      )}
+
+      {/* History Modal */}
+      {historyOpen && (
+        <HistoryView
+          history={state.history}
+          currentPaydate={state.paydate}
+          onClose={() => setHistoryOpen(false)}
+        />
       )}
 
       {/* Settings Modal */}
@@ -502,53 +1076,129 @@ export default function App(){
         <div className="modal-overlay" onClick={() => setSettingsOpen(false)}>
           <div className="modal-panel settings" onClick={e => e.stopPropagation()}>
             <div className="modal-handle"></div>
-            <h3 className="modal-title">Settings</h3>
+            <h3 className="modal-title">{t('settings.title')}</h3>
 
             <div className="settings-field">
-              <label className="settings-label">Exchange Rate Provider</label>
+              <label className="settings-label">{t('settings.language')}</label>
               <select
-                value={state.provider}
-                onChange={e => onChange('provider', e.target.value)}
+                value={state.language}
+                onChange={e => onChange('language', e.target.value)}
                 className="settings-select"
               >
-                <option value="frankfurter">Frankfurter (Free, No Key)</option>
-                <option value="exchangerate-host">ExchangeRate.host (Free Tier + Key)</option>
+                {LANGUAGES.map(([id, name]) => (
+                  <option key={id} value={id}>{name || t('settings.languageAuto')}</option>
+                ))}
               </select>
-              <small className="settings-hint">
-                Frankfurter uses ECB daily reference rates
-              </small>
+              <small className="settings-hint">{t('settings.languageHint')}</small>
             </div>
 
-            {state.provider === 'exchangerate-host' && (
-              <div className="settings-field">
-                <label className="settings-label">API Key</label>
-                <input
-                  type="text"
-                  placeholder="Enter your API key"
-                  value={state.apiKey}
-                  onChange={e => onChange('apiKey', e.target.value)}
-                  className="settings-input"
-                />
+            <ProviderSettings
+              providers={state.providers}
+              apiKeys={state.apiKeys}
+              onChange={changes => setState(s => ({ ...s, ...changes }))}
+            />
+
+            <div className="settings-field">
+              <label className="settings-label">{t('settings.offlineRates')}</label>
+              <select
+                value={state.offlineRateDays}
+                onChange={e => onChange('offlineRateDays', Number(e.target.value))}
+                className="settings-select"
+              >
+                <option value={1}>{t('settings.offlineDays', { count: 1 })}</option>
+                <option value={3}>{t('settings.offlineDays', { count: 3 })}</option>
+                <option value={7}>{t('settings.offlineWeek')}</option>
+                <option value={30}>{t('settings.offlineDays', { count: 30 })}</option>
+              </select>
+              <small className="settings-hint">{t('settings.offlineHint')}</small>
+            </div>
+
+            <PayScheduleSettings
+              schedule={state.paySchedule}
+              onChange={schedule => onChange('paySchedule', schedule)}
+            />
+
+            <div className="settings-field">
+              <div className="settings-toggle">
+                <label className="settings-label" htmlFor="track-daily">{t('settings.trackDaily')}</label>
+                <label className="toggle-switch">
+                  <input
+                    id="track-daily"
+                    type="checkbox"
+                    checked={state.trackDaily}
+                    onChange={e => onChange('trackDaily', e.target.checked)}
+                  />
+                  <span className={`toggle-slider ${state.trackDaily ? 'active' : ''}`}></span>
+                </label>
               </div>
-            )}
+              <small className="settings-hint">{t('settings.trackDailyHint')}</small>
+              {state.trackDaily && state.dayBudget && (
+                <button
+                  onClick={() => onChange('dayBudget', null)}
+                  className="settings-link"
+                >
+                  {t('settings.recalculate')}
+                </button>
+              )}
+            </div>
+
+            <WeightingSettings
+              weighting={state.weighting}
+              onChange={weighting => onChange('weighting', weighting)}
+            />
+
+            <CalendarSettings
+              calendar={state.calendar}
+              onChange={calendar => onChange('calendar', calendar)}
+            />
+
+            <SavingsSettings
+              savings={state.savings}
+              currency={state.srcCurrency}
+              onChange={savings => onChange('savings', savings)}
+            />
+
+            <NotificationSettings
+              config={state.notifications}
+              onChange={config => onChange('notifications', config)}
+            />
+
+            <DataPanel
+              state={state}
+              onImport={(backup, mode) => setState(s => applyBackup(s, backup, mode))}
+            />
+
+            <div className="settings-field">
+              <label className="settings-label">{t('settings.version')}</label>
+              <div className="settings-version">
+                {appVersion || (import.meta.env.PROD ? t('settings.notInstalled') : t('settings.devBuild'))}
+              </div>
+              {waitingWorker && (
+                <button onClick={() => applyUpdate(waitingWorker)} className="settings-link">
+                  {t('settings.updateReload')}
+                </button>
+              )}
+            </div>
 
             <div className="settings-actions">
               <button
                 onClick={() => {
-                  if (confirm('Are you sure you want to clear all data?')) {
-                    localStorage.clear()
-                    location.reload()
+                  if (confirm(t('settings.clearConfirm'))) {
+                    clearState().finally(() => {
+                      localStorage.clear()
+                      location.reload()
+                    })
                   }
                 }}
                 className="btn-danger"
               >
-                Clear Data
+                {t('settings.clearData')}
               </button>
               <button
                 onClick={() => setSettingsOpen(false)}
                 className="btn-primary"
               >
-                Done
+                {t('common.done')}
               </button>
             </div>
           </div>
@@ -0,0 +1,113 @@
+import { useState } from 'react'
+import { t } from '../lib/i18n'
+import AmountInput from './AmountInput'
+
+export default function AccountsPanel({ accounts, currencies, baseCurrency, onAdd, onUpdate, onBalanceFocus, onBalanceBlur, onDelete }) {
+  const [adding, setAdding] = useState(false)
+  const [draft, setDraft] = useState(null)
+
+  function startAdd() {
+    setDraft({ name: '', balance: '', currency: baseCurrency })
+    setAdding(true)
+  }
+
+  function submit(e) {
+    e.preventDefault()
+    if (!draft.name.trim()) return
+    onAdd(draft)
+    setAdding(false)
+  }
+
+  const codes = currencies.length ? currencies.map(([code]) => code) : [baseCurrency]
+
+  return (
+    <div className="glass-card accounts-card">
+      <div className="card-header">
+        <span className="card-title">{t('accounts.title')}</span>
+        {!adding && (
+          <button onClick={startAdd} className="expense-btn">{t('accounts.add')}</button>
+        )}
+      </div>
+
+      {accounts.length > 0 && (
+        <ul className="expense-list">
+          {accounts.map(account => (
+            <li key={account.id} className="expense-item account-item">
+              <input
+                type="text"
+                value={account.name}
+                onChange={e => onUpdate(account.id, { name: e.target.value })}
+                className="expense-input note"
+                aria-label={t('accounts.name')}
+              />
+              <AmountInput
+                placeholder="0"
+                value={account.balance}
+                currency={account.currency}
+                onChange={balance => onUpdate(account.id, { balance })}
+                onFocus={onBalanceFocus}
+                onBlur={onBalanceBlur}
+                className="expense-input amount"
+                aria-label={t('accounts.balanceOf', { name: account.name })}
+              />
+              <select
+                value={account.currency}
+                onChange={e => onUpdate(account.id, { currency: e.target.value })}
+                className="expense-input currency"
+                aria-label={t('accounts.currencyOf', { name: account.name })}
+              >
+                {codes.map(code => <option key={code} value={code}>{code}</option>)}
+              </select>
+              <button
+                onClick={() => onDelete(account.id)}
+                className="expense-delete"
+                aria-label={t('accounts.delete', { name: account.name })}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {adding && (
+        <form className="bill-form" onSubmit={submit}>
+          <input
+            type="text"
+            placeholder={t('accounts.namePlaceholder')}
+            value={draft.name}
+            onChange={e => setDraft(d => ({ ...d, name: e.target.value }))}
+            className="expense-input note"
+            aria-label={t('accounts.name')}
+          />
+          <AmountInput
+            placeholder={t('accounts.balance')}
+            value={draft.balance}
+            currency={draft.currency}
+            onChange={balance => setDraft(d => ({ ...d, balance }))}
+            className="expense-input amount"
+            aria-label={t('accounts.balance')}
+          />
+          <select
+            value={draft.currency}
+            onChange={e => setDraft(d => ({ ...d, currency: e.target.value }))}
+            className="expense-input currency"
+            aria-label={t('common.currency')}
+          >
+            {codes.map(code => <option key={code} value={code}>{code}</option>)}
+          </select>
+          <div className="expense-actions">
+            <button type="submit" className="expense-btn" disabled={!draft.name.trim()}>{t('common.save')}</button>
+            <button type="button" onClick={() => setAdding(false)} className="expense-btn muted">{t('common.cancel')}</button>
+          </div>
+        </form>
+      )}
+
+      {!accounts.length && !adding && (
+        <div className="card-empty">
+          {t('accounts.empty', { currency: baseCurrency })}
+        </div>
+      )}
+    </div>
+  )
+}
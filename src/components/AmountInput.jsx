@@ -0,0 +1,40 @@
+import { useState } from 'react'
+import { editAmount, toPlainAmount, toInputAmount, formatAmount } from '../lib/i18n'
+import { minorUnits } from '../lib/money'
+
+// Text input for money amounts written the way the current locale writes them.
+// `value` and `onChange` use the plain form ("1234.5"); with `grouped` the
+// value is shown with thousands separators while the input isn't focused.
+// Decimals are limited to what `currency` has (none for JPY, three for KWD).
+// While focused the text is shown as typed (see editAmount in lib/i18n).
+export default function AmountInput({ value, onChange, currency, grouped = false, onFocus, onBlur, ...props }) {
+  const [focused, setFocused] = useState(false)
+  const [draft, setDraft] = useState(null)
+  const decimals = minorUnits(currency)
+  // a value changed from elsewhere replaces what was being typed
+  const typed = focused && draft !== null && toPlainAmount(draft, decimals) === String(value ?? '') ? draft : null
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      autoComplete="off"
+      {...props}
+      value={typed ?? (grouped && !focused ? formatAmount(value, decimals) : toInputAmount(value))}
+      onChange={e => {
+        const { plain, text } = editAmount(e.target.value, decimals)
+        setDraft(text)
+        onChange(plain)
+      }}
+      onFocus={e => {
+        setFocused(true)
+        if (onFocus) onFocus(e)
+      }}
+      onBlur={e => {
+        setFocused(false)
+        setDraft(null)
+        if (onBlur) onBlur(e)
+      }}
+    />
+  )
+}
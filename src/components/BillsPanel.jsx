@@ -0,0 +1,131 @@
+import { useState } from 'react'
+import { RECURRENCES } from '../lib/bills'
+import { formatMoney } from '../lib/fx'
+import { t, formatDate } from '../lib/i18n'
+import AmountInput from './AmountInput'
+
+function formatDue(iso) {
+  return formatDate(new Date(iso + 'T00:00:00'), { day: 'numeric', month: 'short' })
+}
+
+export default function BillsPanel({ bills, currencies, defaultCurrency, unconverted = [], onAdd, onPay, onDelete }) {
+  const [adding, setAdding] = useState(false)
+  const [draft, setDraft] = useState(null)
+
+  function startAdd() {
+    setDraft({ name: '', amount: '', dueDate: '', recurrence: 'monthly', currency: defaultCurrency })
+    setAdding(true)
+  }
+
+  function update(k, v) {
+    setDraft(d => ({ ...d, [k]: v }))
+  }
+
+  const valid = draft && draft.name.trim() && Number(draft.amount) > 0 && draft.dueDate
+
+  function submit(e) {
+    e.preventDefault()
+    if (!valid) return
+    onAdd(draft)
+    setAdding(false)
+  }
+
+  const sorted = [...bills].sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+  const codes = currencies.length ? currencies.map(([code]) => code) : [defaultCurrency]
+
+  return (
+    <div className="glass-card bills-card">
+      <div className="card-header">
+        <span className="card-title">{t('bills.title')}</span>
+        {!adding && (
+          <button onClick={startAdd} className="expense-btn">{t('bills.add')}</button>
+        )}
+      </div>
+
+      {adding && (
+        <form className="bill-form" onSubmit={submit}>
+          <input
+            type="text"
+            placeholder={t('bills.namePlaceholder')}
+            value={draft.name}
+            onChange={e => update('name', e.target.value)}
+            className="expense-input note"
+            aria-label={t('bills.name')}
+          />
+          <AmountInput
+            placeholder={t('bills.amount')}
+            value={draft.amount}
+            currency={draft.currency}
+            onChange={amount => update('amount', amount)}
+            className="expense-input amount"
+            aria-label={t('bills.amount')}
+          />
+          <select
+            value={draft.currency}
+            onChange={e => update('currency', e.target.value)}
+            className="expense-input currency"
+            aria-label={t('common.currency')}
+          >
+            {codes.map(code => <option key={code} value={code}>{code}</option>)}
+          </select>
+          <input
+            type="date"
+            value={draft.dueDate}
+            onChange={e => update('dueDate', e.target.value)}
+            className="expense-input date"
+            aria-label={t('bills.dueDate')}
+          />
+          <select
+            value={draft.recurrence}
+            onChange={e => update('recurrence', e.target.value)}
+            className="expense-input category"
+            aria-label={t('bills.repeats')}
+          >
+            {RECURRENCES.map(id => <option key={id} value={id}>{t(`recurrence.${id}`)}</option>)}
+          </select>
+          <div className="expense-actions">
+            <button type="submit" className="expense-btn" disabled={!valid}>{t('common.save')}</button>
+            <button type="button" onClick={() => setAdding(false)} className="expense-btn muted">{t('common.cancel')}</button>
+          </div>
+        </form>
+      )}
+
+      {sorted.length > 0 ? (
+        <ul className="expense-list">
+          {sorted.map(bill => {
+            const noRate = unconverted.includes(bill.id) && t('bills.noRate', { currency: bill.currency })
+            return (
+              <li key={bill.id} className="expense-item">
+                <div className="expense-main">
+                  <span className="expense-amount">{formatMoney(bill.amount, bill.currency)}</span>
+                  <span className="expense-detail">
+                    {bill.name} · {t(`recurrence.${bill.recurrence}`)}
+                    {noRate && ` · ${noRate}`}
+                  </span>
+                </div>
+                <span className="expense-time">{formatDue(bill.dueDate)}</span>
+                <button
+                  onClick={() => onPay(bill.id)}
+                  className="expense-btn"
+                  disabled={Boolean(noRate)}
+                  title={noRate || undefined}
+                >
+                  {t('bills.paid')}
+                </button>
+                <button
+                  onClick={() => onDelete(bill.id)}
+                  className="expense-delete"
+                  aria-label={t('bills.delete')}
+                >
+                  ×
+                </button>
+              </li>
+            )
+          })}
+        </ul>
+      ) : !adding && (
+        <div className="card-empty">{t('bills.empty')}</div>
+      )}
+    </div>
+  )
+}
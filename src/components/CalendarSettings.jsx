@@ -0,0 +1,67 @@
+import { t, formatTime } from '../lib/i18n'
+
+// A budget day may start as late as noon, for night shifts
+const START_HOURS = Array.from({ length: 13 }, (_, h) => h)
+
+function deviceZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone
+}
+
+function timeZones(current) {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [deviceZone()]
+  return current !== 'auto' && !zones.includes(current) ? [current, ...zones] : zones
+}
+
+export default function CalendarSettings({ calendar, onChange }) {
+  function update(k, v) {
+    onChange({ ...calendar, [k]: v })
+  }
+
+  return (
+    <div className="settings-field">
+      <label className="settings-label">{t('calendar.title')}</label>
+
+      <label className="settings-sublabel" htmlFor="calendar-zone">{t('calendar.timeZone')}</label>
+      <select
+        id="calendar-zone"
+        value={calendar.timeZone}
+        onChange={e => update('timeZone', e.target.value)}
+        className="settings-select"
+      >
+        <option value="auto">{t('calendar.timeZoneAuto', { zone: deviceZone() })}</option>
+        {timeZones(calendar.timeZone).map(zone => <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>)}
+      </select>
+
+      <div className="settings-subfield">
+        <label className="settings-sublabel" htmlFor="calendar-start">{t('calendar.dayStart')}</label>
+        <select
+          id="calendar-start"
+          value={calendar.dayStartHour}
+          onChange={e => update('dayStartHour', Number(e.target.value))}
+          className="settings-select"
+        >
+          {START_HOURS.map(h => (
+            <option key={h} value={h}>
+              {formatTime(new Date(2000, 0, 1, h), { hour: 'numeric', minute: '2-digit' })}
+            </option>
+          ))}
+        </select>
+        <small className="settings-hint">{t('calendar.dayStartHint')}</small>
+      </div>
+
+      <div className="settings-subfield settings-toggle">
+        <label className="settings-sublabel" htmlFor="calendar-payday">{t('calendar.paydayCounts')}</label>
+        <label className="toggle-switch">
+          <input
+            id="calendar-payday"
+            type="checkbox"
+            checked={calendar.paydayCounts}
+            onChange={e => update('paydayCounts', e.target.checked)}
+          />
+          <span className={`toggle-slider ${calendar.paydayCounts ? 'active' : ''}`}></span>
+        </label>
+      </div>
+      <small className="settings-hint">{t('calendar.paydayCountsHint')}</small>
+    </div>
+  )
+}
@@ -0,0 +1,113 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { pickerSections } from '../lib/currencies'
+import { t } from '../lib/i18n'
+
+// Bottom sheet for choosing a currency. Focus stays in the search box; the
+// arrow keys move through the list, Enter picks and Escape closes.
+// `preview(code)` may return a short rate line to show next to each entry.
+export default function CurrencyPicker({ currencies, selected, favorites, recents, preview, onSelect, onToggleFavorite, onClose }) {
+  const [query, setQuery] = useState('')
+  const sections = useMemo(
+    () => pickerSections(currencies, { query, favorites, recents }),
+    [currencies, query, favorites, recents]
+  )
+  const items = sections.flatMap(section => section.items)
+  const [active, setActive] = useState(() => Math.max(0, items.findIndex(([code]) => code === selected)))
+  const listRef = useRef(null)
+
+  useEffect(() => {
+    const option = listRef.current && listRef.current.querySelector('[aria-selected="true"]')
+    if (option) option.scrollIntoView({ block: 'nearest' })
+  }, [active, query])
+
+  function search(value) {
+    setQuery(value)
+    setActive(0)
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActive(i => Math.min(items.length - 1, i + 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActive(i => Math.max(0, i - 1))
+    } else if (e.key === 'Home' && e.ctrlKey) {
+      e.preventDefault()
+      setActive(0)
+    } else if (e.key === 'End' && e.ctrlKey) {
+      e.preventDefault()
+      setActive(items.length - 1)
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      if (items[active]) onSelect(items[active][0])
+    } else if (e.key === 'Escape') {
+      onClose()
+    }
+  }
+
+  let index = 0
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-panel picker" onClick={e => e.stopPropagation()}>
+        <div className="modal-handle"></div>
+        <h3 className="modal-title">{t('app.selectCurrency')}</h3>
+        <input
+          type="search"
+          className="currency-search"
+          placeholder={t('picker.search')}
+          value={query}
+          onChange={e => search(e.target.value)}
+          onKeyDown={handleKeyDown}
+          autoFocus
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="currency-options"
+          aria-activedescendant={items[active] ? `currency-option-${items[active][0]}` : undefined}
+          aria-label={t('picker.search')}
+        />
+        <ul className="currency-list" id="currency-options" role="listbox" ref={listRef} aria-label={t('app.selectCurrency')}>
+          {items.length === 0 && <li className="currency-empty" role="presentation">{t('picker.noMatches')}</li>}
+          {sections.map(section => (
+            <li key={section.id} role="presentation">
+              {sections.length > 1 && <div className="currency-section">{t(`picker.${section.id}`)}</div>}
+              <ul className="currency-group" role="presentation">
+                {section.items.map(([code, name]) => {
+                  const i = index++
+                  const favorite = favorites.includes(code)
+                  const rate = preview ? preview(code) : null
+                  return (
+                    <li key={code} className="currency-row" role="presentation">
+                      <div
+                        id={`currency-option-${code}`}
+                        role="option"
+                        aria-selected={i === active}
+                        className={`currency-item ${i === active ? 'active' : ''} ${code === selected ? 'current' : ''}`}
+                        onClick={() => onSelect(code)}
+                        onMouseMove={() => { if (i !== active) setActive(i) }}
+                      >
+                        <span>
+                          <span className="currency-code">{code}</span> — {name}
+                        </span>
+                        {rate && <span className="currency-rate">{rate}</span>}
+                      </div>
+                      <button
+                        type="button"
+                        className={`currency-favorite ${favorite ? 'on' : ''}`}
+                        onClick={() => onToggleFavorite(code)}
+                        aria-pressed={favorite}
+                        aria-label={t(favorite ? 'picker.unfavorite' : 'picker.favorite', { code })}
+                      >
+                        {favorite ? '★' : '☆'}
+                      </button>
+                    </li>
+                  )
+                })}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  )
+}
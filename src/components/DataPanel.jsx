@@ -0,0 +1,75 @@
+import { useRef, useState } from 'react'
+import { downloadJSON, downloadCSV, parseBackup, summarizeBackup } from '../lib/backup'
+import { t, getLocale } from '../lib/i18n'
+
+export default function DataPanel({ state, onImport }) {
+  const fileRef = useRef(null)
+  const [pending, setPending] = useState(null)
+  const [error, setError] = useState('')
+
+  async function handleFile(e) {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    setError('')
+    try {
+      setPending(parseBackup(await file.text(), { currency: state.srcCurrency }))
+    } catch (err) {
+      setPending(null)
+      setError(err.message)
+    }
+  }
+
+  function apply(mode) {
+    if (mode === 'replace' && !confirm(t('data.replaceConfirm'))) return
+    onImport(pending, mode)
+    setPending(null)
+  }
+
+  const summary = pending && summarizeBackup(pending)
+
+  return (
+    <div className="settings-field">
+      <label className="settings-label">{t('data.title')}</label>
+      <div className="data-buttons">
+        <button onClick={() => downloadJSON(state)} className="btn-secondary">{t('data.exportBackup')}</button>
+        <button onClick={() => downloadCSV(state.expenses, state.srcCurrency)} className="btn-secondary">
+          {t('data.exportCSV')}
+        </button>
+        <button onClick={() => fileRef.current.click()} className="btn-secondary">{t('data.import')}</button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          onChange={handleFile}
+          hidden
+        />
+      </div>
+      <small className="settings-hint">{t('data.hint')}</small>
+
+      {error && <div className="data-error">{error}</div>}
+
+      {pending && (
+        <div className="import-preview">
+          <div className="import-title">
+            {pending.kind === 'json' ? t('data.backup') : t('data.csv')}
+            {pending.exportedAt && ` ${t('data.from', { date: new Date(pending.exportedAt).toLocaleString(getLocale()) })}`}
+          </div>
+          <ul>
+            {summary.collections.map(([key, count]) => (
+              <li key={key}>{t(`data.${key}`, { count })}</li>
+            ))}
+            {summary.settings > 0 && <li>{t('data.settings', { count: summary.settings })}</li>}
+          </ul>
+          {pending.warnings.map(w => <div key={w} className="import-warning">{w}</div>)}
+          <small className="settings-hint">{t('data.mergeHint')}</small>
+          <div className="data-buttons">
+            <button onClick={() => apply('merge')} className="btn-primary">{t('data.merge')}</button>
+            <button onClick={() => apply('replace')} className="btn-danger">{t('data.replace')}</button>
+            <button onClick={() => setPending(null)} className="btn-secondary">{t('common.cancel')}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,152 @@
+import { useState } from 'react'
+import { CATEGORIES, categoryLabel } from '../lib/ledger'
+import { formatMoney } from '../lib/fx'
+import { t, formatDate, formatTime as formatClock } from '../lib/i18n'
+import AmountInput from './AmountInput'
+
+function formatTime(ts) {
+  const d = new Date(ts)
+  const today = new Date()
+  if (d.toDateString() === today.toDateString()) {
+    return formatClock(d, { hour: '2-digit', minute: '2-digit' })
+  }
+  return formatDate(d, { day: 'numeric', month: 'short' })
+}
+
+function ExpenseRow({ expense, currency, settled, onUpdate, onDelete }) {
+  const [editing, setEditing] = useState(false)
+  const [draft, setDraft] = useState(null)
+
+  function startEdit() {
+    setDraft({ amount: String(expense.amount), note: expense.note, category: expense.category })
+    setEditing(true)
+  }
+
+  function save() {
+    if (Number(draft.amount) > 0) onUpdate(expense.id, draft)
+    setEditing(false)
+  }
+
+  if (editing) {
+    return (
+      <li className="expense-item editing">
+        <AmountInput
+          value={draft.amount}
+          currency={currency}
+          onChange={amount => setDraft(d => ({ ...d, amount }))}
+          className="expense-input amount"
+          aria-label={t('expense.amount')}
+        />
+        <select
+          value={draft.category}
+          onChange={e => setDraft(d => ({ ...d, category: e.target.value }))}
+          className="expense-input category"
+          aria-label={t('expense.category')}
+        >
+          {CATEGORIES.map(id => <option key={id} value={id}>{categoryLabel(id)}</option>)}
+        </select>
+        <input
+          type="text"
+          value={draft.note}
+          placeholder={t('expense.note')}
+          onChange={e => setDraft(d => ({ ...d, note: e.target.value }))}
+          onKeyDown={e => e.key === 'Enter' && save()}
+          className="expense-input note"
+          aria-label={t('expense.note')}
+        />
+        <div className="expense-actions">
+          <button onClick={save} className="expense-btn">{t('common.save')}</button>
+          <button onClick={() => setEditing(false)} className="expense-btn muted">{t('common.cancel')}</button>
+        </div>
+      </li>
+    )
+  }
+
+  return (
+    <li className={`expense-item ${settled ? 'settled' : ''}`}>
+      <div className="expense-main" onClick={startEdit}>
+        <span className="expense-amount">{formatMoney(expense.amount, currency)}</span>
+        <span className="expense-detail">
+          {categoryLabel(expense.category)}{expense.note ? ` · ${expense.note}` : ''}
+          {settled && ` · ${t('expense.inBalance')}`}
+        </span>
+      </div>
+      <span className="expense-time">{formatTime(expense.createdAt)}</span>
+      <button
+        onClick={() => onDelete(expense.id)}
+        className="expense-delete"
+        aria-label={t('expense.delete')}
+      >
+        ×
+      </button>
+    </li>
+  )
+}
+
+// Expenses from before the balance was last entered stay listed, marked as
+// already part of that balance
+export default function ExpenseLog({ expenses, balanceSetAt = null, currency, autoFocus = false, onAdd, onUpdate, onDelete }) {
+  const [amount, setAmount] = useState('')
+  const [note, setNote] = useState('')
+  const [category, setCategory] = useState('other')
+
+  function submit(e) {
+    e.preventDefault()
+    if (!(Number(amount) > 0)) return
+    onAdd({ amount, note, category })
+    setAmount('')
+    setNote('')
+  }
+
+  const sorted = [...expenses].sort((a, b) => b.createdAt - a.createdAt)
+
+  return (
+    <div className="glass-card expense-card">
+      <form className="expense-form" onSubmit={submit}>
+        <AmountInput
+          placeholder={t('expense.spent')}
+          value={amount}
+          currency={currency}
+          onChange={setAmount}
+          autoFocus={autoFocus}
+          className="main-input-inline expense-amount-input"
+          aria-label={t('expense.amountSpent')}
+        />
+        <select
+          value={category}
+          onChange={e => setCategory(e.target.value)}
+          className="expense-category-select"
+          aria-label={t('expense.category')}
+        >
+          {CATEGORIES.map(id => <option key={id} value={id}>{categoryLabel(id)}</option>)}
+        </select>
+        <input
+          type="text"
+          placeholder={t('expense.noteOptional')}
+          value={note}
+          onChange={e => setNote(e.target.value)}
+          className="main-input-inline expense-note-input"
+          aria-label={t('expense.note')}
+        />
+        <button type="submit" className="expense-add-btn" disabled={!(Number(amount) > 0)}>
+          {t('expense.add')}
+        </button>
+      </form>
+
+      {sorted.length > 0 && (
+        <ul className="expense-list">
+          {sorted.map(expense => (
+            <ExpenseRow
+              key={expense.id}
+              expense={expense}
+              currency={currency}
+              settled={Boolean(balanceSetAt) && expense.createdAt < balanceSetAt}
+              onUpdate={onUpdate}
+              onDelete={onDelete}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,142 @@
+import { useState } from 'react'
+import { groupByPeriod, summarizePeriod } from '../lib/history'
+import { formatMoney } from '../lib/fx'
+import { t, formatDate } from '../lib/i18n'
+
+const WIDTH = 320
+const HEIGHT = 160
+const PAD = { top: 10, right: 8, bottom: 20, left: 8 }
+
+function shortDate(iso) {
+  return formatDate(new Date(iso + 'T00:00:00'), { day: 'numeric', month: 'short' })
+}
+
+// Spending bars against the allowance line, one slot per recorded day
+function BudgetChart({ entries, currency }) {
+  const innerW = WIDTH - PAD.left - PAD.right
+  const innerH = HEIGHT - PAD.top - PAD.bottom
+  const max = Math.max(1, ...entries.map(h => Math.max(h.allowance || 0, h.spent || 0))) * 1.1
+  const slot = innerW / entries.length
+  const barW = Math.max(2, slot * 0.6)
+  const y = v => PAD.top + innerH - (Math.max(0, v) / max) * innerH
+  const cx = i => PAD.left + slot * i + slot / 2
+
+  const allowanceLine = entries.map((h, i) => `${cx(i)},${y(h.allowance)}`).join(' ')
+
+  return (
+    <svg
+      className="history-chart"
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      role="img"
+      aria-label={t('history.chartLabel', { currency })}
+    >
+      <line
+        x1={PAD.left} x2={WIDTH - PAD.right}
+        y1={PAD.top + innerH} y2={PAD.top + innerH}
+        className="chart-axis"
+      />
+      {entries.map((h, i) => (
+        <rect
+          key={h.date}
+          x={cx(i) - barW / 2}
+          y={y(h.spent)}
+          width={barW}
+          height={PAD.top + innerH - y(h.spent)}
+          rx="1.5"
+          className={h.spent > h.allowance ? 'chart-bar over' : 'chart-bar'}
+        >
+          <title>
+            {t('history.spentOf', {
+              date: shortDate(h.date),
+              spent: formatMoney(h.spent, currency),
+              allowance: formatMoney(h.allowance, currency)
+            })}
+          </title>
+        </rect>
+      ))}
+      <polyline points={allowanceLine} className="chart-line" />
+      {entries.map((h, i) => (
+        <circle key={h.date} cx={cx(i)} cy={y(h.allowance)} r="2" className="chart-dot" />
+      ))}
+      <text x={PAD.left} y={HEIGHT - 4} className="chart-label">{shortDate(entries[0].date)}</text>
+      <text x={WIDTH - PAD.right} y={HEIGHT - 4} textAnchor="end" className="chart-label">
+        {shortDate(entries[entries.length - 1].date)}
+      </text>
+    </svg>
+  )
+}
+
+export default function HistoryView({ history, currentPaydate, onClose }) {
+  const periods = groupByPeriod(history)
+  const [selected, setSelected] = useState(() => {
+    const current = periods.find(p => p.paydate === currentPaydate)
+    return (current || periods[0])?.paydate
+  })
+  const period = periods.find(p => p.paydate === selected)
+  const currency = period?.entries[period.entries.length - 1].currency
+  const summary = period && summarizePeriod(period.entries)
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-panel history" onClick={e => e.stopPropagation()}>
+        <div className="modal-handle"></div>
+        <h3 className="modal-title">{t('history.title')}</h3>
+
+        {!period ? (
+          <div className="settings-hint">{t('history.empty')}</div>
+        ) : (
+          <>
+            <select
+              value={selected}
+              onChange={e => setSelected(e.target.value)}
+              className="settings-select"
+              aria-label={t('history.period')}
+            >
+              {periods.map(p => (
+                <option key={p.paydate} value={p.paydate}>
+                  {t(p.paydate === currentPaydate ? 'history.currentUntil' : 'history.periodUntil', { date: shortDate(p.paydate) })}
+                </option>
+              ))}
+            </select>
+
+            <BudgetChart entries={period.entries} currency={currency} />
+
+            <div className="chart-legend">
+              <span><i className="legend-swatch bar" /> {t('history.legendSpent')}</span>
+              <span><i className="legend-swatch line" /> {t('history.legendBudget')}</span>
+            </div>
+
+            <div className="history-summary">
+              <div>
+                <span className="summary-value">{formatMoney(summary.spent, currency)}</span>
+                <span className="summary-label">{t('history.spentInDays', { count: summary.days })}</span>
+              </div>
+              <div>
+                <span className="summary-value">{formatMoney(summary.avgSpent, currency)}</span>
+                <span className="summary-label">{t('history.averagePerDay')}</span>
+              </div>
+              <div>
+                <span className="summary-value">{summary.overDays}</span>
+                <span className="summary-label">{t('history.daysOver', { count: summary.overDays })}</span>
+              </div>
+            </div>
+
+            <ul className="history-list">
+              {[...period.entries].reverse().map(h => (
+                <li key={h.date} className={h.spent > h.allowance ? 'over' : ''}>
+                  <span>{shortDate(h.date)}</span>
+                  <span>{formatMoney(h.spent, h.currency)} / {formatMoney(h.allowance, h.currency)}</span>
+                  <span className="history-balance">{t('history.left', { amount: formatMoney(h.balance, h.currency) })}</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <div className="settings-actions">
+          <button onClick={onClose} className="btn-primary">{t('common.done')}</button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,93 @@
+import { useState } from 'react'
+import { notificationsSupported, requestNotificationPermission } from '../lib/notifications'
+import { t } from '../lib/i18n'
+
+export default function NotificationSettings({ config, onChange }) {
+  const [blocked, setBlocked] = useState(
+    notificationsSupported() && Notification.permission === 'denied'
+  )
+
+  function update(k, v) {
+    onChange({ ...config, [k]: v })
+  }
+
+  async function toggle(enabled) {
+    if (!enabled) return update('enabled', false)
+    const granted = await requestNotificationPermission()
+    setBlocked(!granted)
+    if (granted) update('enabled', true)
+  }
+
+  if (!notificationsSupported()) {
+    return (
+      <div className="settings-field">
+        <label className="settings-label">{t('notifications.title')}</label>
+        <small className="settings-hint">{t('notifications.unsupported')}</small>
+      </div>
+    )
+  }
+
+  return (
+    <div className="settings-field">
+      <div className="settings-toggle">
+        <label className="settings-label" htmlFor="notifications">{t('notifications.title')}</label>
+        <label className="toggle-switch">
+          <input
+            id="notifications"
+            type="checkbox"
+            checked={config.enabled}
+            onChange={e => toggle(e.target.checked)}
+          />
+          <span className={`toggle-slider ${config.enabled ? 'active' : ''}`}></span>
+        </label>
+      </div>
+      {blocked && (
+        <small className="settings-hint">{t('notifications.blocked')}</small>
+      )}
+
+      {config.enabled && (
+        <>
+          <div className="settings-subfield">
+            <label className="settings-sublabel">{t('notifications.morning')}</label>
+            <input
+              type="time"
+              value={config.morningAt}
+              onChange={e => update('morningAt', e.target.value)}
+              className="settings-input"
+            />
+          </div>
+
+          <div className="settings-subfield">
+            <label className="settings-sublabel">{t('notifications.payday')}</label>
+            <select
+              value={config.paydayDays}
+              onChange={e => update('paydayDays', Number(e.target.value))}
+              className="settings-select"
+            >
+              <option value={0}>{t('notifications.paydayOff')}</option>
+              {[1, 2, 3, 5].map(n => (
+                <option key={n} value={n}>{t('notifications.daysBefore', { count: n })}</option>
+              ))}
+              <option value={7}>{t('notifications.weekBefore')}</option>
+            </select>
+          </div>
+
+          <div className="settings-subfield settings-toggle">
+            <label className="settings-sublabel" htmlFor="notify-overspend">{t('notifications.overspend')}</label>
+            <label className="toggle-switch">
+              <input
+                id="notify-overspend"
+                type="checkbox"
+                checked={config.overspend}
+                onChange={e => update('overspend', e.target.checked)}
+              />
+              <span className={`toggle-slider ${config.overspend ? 'active' : ''}`}></span>
+            </label>
+          </div>
+
+          <small className="settings-hint">{t('notifications.hint')}</small>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,62 @@
+import { SCHEDULE_TYPES, parseHolidays } from '../lib/payschedule'
+import { t } from '../lib/i18n'
+
+export default function PayScheduleSettings({ schedule, onChange }) {
+  function update(k, v) {
+    onChange({ ...schedule, [k]: v })
+  }
+
+  return (
+    <div className="settings-field">
+      <label className="settings-label">{t('schedule.title')}</label>
+      <select
+        value={schedule.type}
+        onChange={e => update('type', e.target.value)}
+        className="settings-select"
+      >
+        {SCHEDULE_TYPES.map(id => <option key={id} value={id}>{t(`schedule.${id}`)}</option>)}
+      </select>
+
+      {schedule.type === 'monthly' && (
+        <div className="settings-subfield">
+          <label className="settings-sublabel">{t('schedule.dayOfMonth')}</label>
+          <input
+            type="number"
+            min="1"
+            max="31"
+            inputMode="numeric"
+            value={schedule.dayOfMonth}
+            onChange={e => update('dayOfMonth', Math.min(31, Math.max(1, Number(e.target.value) || 1)))}
+            className="settings-input"
+          />
+        </div>
+      )}
+
+      {(schedule.type === 'biweekly' || schedule.type === 'four-weekly') && (
+        <div className="settings-subfield">
+          <label className="settings-sublabel">{t('schedule.anchor')}</label>
+          <input
+            type="date"
+            value={schedule.anchor}
+            onChange={e => update('anchor', e.target.value)}
+            className="settings-input"
+          />
+        </div>
+      )}
+
+      {schedule.type !== 'manual' && (
+        <div className="settings-subfield">
+          <label className="settings-sublabel">{t('schedule.holidays')}</label>
+          <input
+            type="text"
+            placeholder="2025-12-25, 2025-12-26"
+            defaultValue={schedule.holidays.join(', ')}
+            onBlur={e => update('holidays', parseHolidays(e.target.value))}
+            className="settings-input"
+          />
+          <small className="settings-hint">{t('schedule.holidaysHint')}</small>
+        </div>
+      )}
+    </div>
+  )
+}
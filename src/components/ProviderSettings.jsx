@@ -0,0 +1,85 @@
+import { PROVIDERS, getProvider } from '../lib/fx'
+import { t } from '../lib/i18n'
+
+export default function ProviderSettings({ providers, apiKeys, onChange }) {
+  const unused = Object.values(PROVIDERS).filter(p => !providers.includes(p.id))
+  const keyed = providers.map(getProvider).filter(p => p && p.needsKey)
+
+  function move(i, delta) {
+    const next = [...providers]
+    const [item] = next.splice(i, 1)
+    next.splice(i + delta, 0, item)
+    onChange({ providers: next })
+  }
+
+  function remove(id) {
+    onChange({ providers: providers.filter(p => p !== id) })
+  }
+
+  function add(id) {
+    if (id) onChange({ providers: [...providers, id] })
+  }
+
+  return (
+    <>
+      <div className="settings-field">
+        <label className="settings-label">{t('providers.title')}</label>
+        <ol className="provider-chain">
+          {providers.map((id, i) => {
+            const provider = getProvider(id)
+            if (!provider) return null
+            return (
+              <li key={id} className="provider-item">
+                <div className="provider-info">
+                  <span className="provider-name">{provider.name}</span>
+                  <span className="provider-desc">
+                    {i === 0 ? t('providers.primary') : t('providers.fallback')} · {t(`provider.${provider.id}`)}
+                  </span>
+                </div>
+                <button
+                  onClick={() => move(i, -1)}
+                  disabled={i === 0}
+                  className="provider-btn"
+                  aria-label={t('providers.moveUp', { name: provider.name })}
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={() => remove(id)}
+                  disabled={providers.length === 1}
+                  className="provider-btn"
+                  aria-label={t('providers.remove', { name: provider.name })}
+                >
+                  ×
+                </button>
+              </li>
+            )
+          })}
+        </ol>
+        {unused.length > 0 && (
+          <select value="" onChange={e => add(e.target.value)} className="settings-select">
+            <option value="">{t('providers.addFallback')}</option>
+            {unused.map(p => <option key={p.id} value={p.id}>{p.name} ({t(`provider.${p.id}`)})</option>)}
+          </select>
+        )}
+        <small className="settings-hint">{t('providers.hint')}</small>
+      </div>
+
+      {keyed.map(provider => (
+        <div className="settings-field" key={provider.id}>
+          <label className="settings-label">{t('providers.apiKey', { name: provider.name })}</label>
+          <input
+            type="text"
+            placeholder={t('providers.apiKeyPlaceholder')}
+            value={apiKeys[provider.id] || ''}
+            onChange={e => onChange({ apiKeys: { ...apiKeys, [provider.id]: e.target.value } })}
+            className="settings-input"
+          />
+          {!apiKeys[provider.id] && (
+            <small className="settings-hint">{t('providers.skipped')}</small>
+          )}
+        </div>
+      ))}
+    </>
+  )
+}
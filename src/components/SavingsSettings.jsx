@@ -0,0 +1,65 @@
+import { SAVINGS_MODES } from '../lib/savings'
+import { t } from '../lib/i18n'
+import AmountInput from './AmountInput'
+
+export default function SavingsSettings({ savings, currency, onChange }) {
+  function update(k, v) {
+    onChange({ ...savings, [k]: v })
+  }
+
+  return (
+    <div className="settings-field">
+      <label className="settings-label">{t('savingsSettings.title')}</label>
+      <select
+        value={savings.mode}
+        onChange={e => update('mode', e.target.value)}
+        className="settings-select"
+      >
+        {SAVINGS_MODES.map(id => <option key={id} value={id}>{t(`savingsSettings.${id}`)}</option>)}
+      </select>
+
+      {savings.mode === 'amount' && (
+        <div className="settings-subfield">
+          <label className="settings-sublabel">{t('savingsSettings.amountLabel', { currency })}</label>
+          <AmountInput
+            grouped
+            placeholder="0"
+            value={savings.amount}
+            currency={currency}
+            onChange={amount => update('amount', amount)}
+            className="settings-input"
+          />
+        </div>
+      )}
+
+      {savings.mode === 'percent' && (
+        <div className="settings-subfield">
+          <label className="settings-sublabel">{t('savingsSettings.percentLabel')}</label>
+          <input
+            type="number"
+            min="1"
+            max="100"
+            inputMode="numeric"
+            value={savings.percent}
+            onChange={e => update('percent', Math.min(100, Math.max(0, Number(e.target.value) || 0)))}
+            className="settings-input"
+          />
+        </div>
+      )}
+
+      {savings.mode !== 'off' && (
+        <div className="settings-subfield">
+          <label className="settings-sublabel">{t('savingsSettings.name')}</label>
+          <input
+            type="text"
+            placeholder={t('savingsSettings.namePlaceholder')}
+            value={savings.name}
+            onChange={e => update('name', e.target.value)}
+            className="settings-input"
+          />
+          <small className="settings-hint">{t('savingsSettings.hint')}</small>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,181 @@
+import { formatMoney } from '../lib/fx'
+import { t, formatDate, formatAmount, toInputAmount, toPlainAmount } from '../lib/i18n'
+import { parseISODate } from '../lib/dates'
+import { minorUnits, sumMoney } from '../lib/money'
+import { MAX_SCENARIOS } from '../lib/scenarios'
+import AmountInput from './AmountInput'
+
+// The resulting daily budget, and how it compares to the live one
+function Outcome({ result, live }) {
+  if (result.error) return <div className="scenario-error">{t(`error.${result.error}`)}</div>
+  if (result.status !== 'ok') return <div className="scenario-meta">{t('scenario.incomplete')}</div>
+
+  const currency = result.displayCurrency
+  const diff = live && live.status === 'ok' && live.displayCurrency === currency
+    ? sumMoney([result.perDay, -live.perDay], currency)
+    : null
+  return (
+    <div className="scenario-result">
+      <span className="scenario-amount">{formatMoney(result.perDay, currency)}</span>
+      <span className="scenario-meta">{t('scenario.perDay', { count: result.daysLeft })}</span>
+      {diff !== null && diff !== 0 && (
+        <span className={`scenario-diff ${diff > 0 ? 'more' : 'less'}`}>
+          {diff > 0
+            ? t('scenario.more', { amount: formatMoney(diff, currency) })
+            : t('scenario.less', { amount: formatMoney(-diff, currency) })}
+        </span>
+      )}
+    </div>
+  )
+}
+
+function summary(scenario, currency, targetCurrency) {
+  const parts = []
+  const own = scenario.currency || currency
+  if (scenario.balance) parts.push(formatMoney(Number(scenario.balance), own))
+  if (scenario.expense) parts.push(t('scenario.withExpense', { amount: formatMoney(Number(scenario.expense), own) }))
+  if (scenario.paydate) parts.push(t('scenario.payday', { date: formatDate(parseISODate(scenario.paydate)) }))
+  if (scenario.targetCurrency) parts.push(t('scenario.shownIn', { currency: scenario.targetCurrency }))
+  if (scenario.rate) parts.push(t('rate.line', { from: own, value: toInputAmount(scenario.rate), to: scenario.targetCurrency || targetCurrency }))
+  return parts.join(' • ')
+}
+
+function ScenarioEditor({ scenario, currency, targetCurrency, placeholders, onUpdate }) {
+  const own = scenario.currency || currency
+  const target = scenario.targetCurrency || targetCurrency
+  const update = (k, v) => onUpdate(scenario.id, { [k]: v })
+
+  return (
+    <div className="scenario-fields">
+      <label className="scenario-label">
+        {t('input.balance')}
+        <AmountInput
+          value={scenario.balance || ''}
+          currency={own}
+          placeholder={placeholders.balance && own === currency ? formatAmount(placeholders.balance, minorUnits(own)) : '0'}
+          onChange={balance => update('balance', balance)}
+          className="expense-input"
+        />
+      </label>
+      <label className="scenario-label">
+        {t('scenario.extraExpense')}
+        <AmountInput
+          value={scenario.expense || ''}
+          currency={own}
+          placeholder="0"
+          onChange={expense => update('expense', expense)}
+          className="expense-input"
+        />
+      </label>
+      <label className="scenario-label">
+        {t('input.payday')}
+        <input
+          type="date"
+          value={scenario.paydate || placeholders.paydate}
+          onChange={e => update('paydate', /^\d{4}-\d{2}-\d{2}$/.test(e.target.value) ? e.target.value : '')}
+          className="expense-input"
+        />
+      </label>
+      {target && target !== own && (
+        <label className="scenario-label">
+          {t('scenario.rate', { from: own, to: target })}
+          <input
+            type="text"
+            inputMode="decimal"
+            autoComplete="off"
+            value={toInputAmount(scenario.rate || '')}
+            placeholder={placeholders.rate && own === currency && target === targetCurrency ? toInputAmount(placeholders.rate) : ''}
+            onChange={e => update('rate', toPlainAmount(e.target.value, 6))}
+            className="expense-input"
+          />
+        </label>
+      )}
+    </div>
+  )
+}
+
+// What-if sandbox: the live budget next to a few scenarios (and one from a
+// shared link), none of which touch the saved numbers until promoted.
+export default function ScenarioPanel({
+  live, untracked, shared, scenarios, currency, targetCurrency, placeholders, copied,
+  onAdd, onUpdate, onDelete, onPromote, onCopyLink, onKeepShared, onCloseShared
+}) {
+  const full = scenarios.length >= MAX_SCENARIOS
+
+  return (
+    <div className="glass-card scenario-card">
+      <div className="card-header">
+        <span className="card-title">{t('scenario.title')}</span>
+        <button onClick={onAdd} className="expense-btn" disabled={full}>{t('scenario.add')}</button>
+      </div>
+
+      {!shared && scenarios.length === 0 ? (
+        <div className="card-empty">{t('scenario.empty')}</div>
+      ) : (
+        <div className="scenario-grid">
+          <div className="scenario-column live">
+            <div className="scenario-heading">{t('scenario.live')}</div>
+            <Outcome result={live} />
+            {untracked && <div className="scenario-meta">{t('scenario.untracked')}</div>}
+          </div>
+
+          {shared && (
+            <div className="scenario-column shared">
+              <div className="scenario-heading">
+                <span>{t('scenario.shared')}</span>
+                <button onClick={onCloseShared} className="expense-delete" aria-label={t('scenario.close')}>×</button>
+              </div>
+              <div className="scenario-meta">{summary(shared.scenario, currency, targetCurrency)}</div>
+              <Outcome result={shared.result} live={live} />
+              <div className="scenario-actions">
+                {!full && <button onClick={onKeepShared} className="expense-btn">{t('scenario.keep')}</button>}
+                <button onClick={() => onPromote(shared.scenario)} className="expense-btn">{t('scenario.promote')}</button>
+                <button onClick={() => onCopyLink('shared', shared.scenario)} className="expense-btn muted">
+                  {copied === 'shared' ? t('link.copied') : t('link.copy')}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {scenarios.map(({ scenario, result }, i) => (
+            <div key={scenario.id} className="scenario-column">
+              <div className="scenario-heading">
+                <input
+                  type="text"
+                  value={scenario.name}
+                  placeholder={t('scenario.untitled', { number: i + 1 })}
+                  onChange={e => onUpdate(scenario.id, { name: e.target.value })}
+                  className="scenario-name"
+                  aria-label={t('scenario.name')}
+                />
+                <button
+                  onClick={() => onDelete(scenario.id)}
+                  className="expense-delete"
+                  aria-label={t('scenario.delete')}
+                >
+                  ×
+                </button>
+              </div>
+              <Outcome result={result} live={live} />
+              <ScenarioEditor
+                scenario={scenario}
+                currency={currency}
+                targetCurrency={targetCurrency}
+                placeholders={placeholders}
+                onUpdate={onUpdate}
+              />
+              <div className="scenario-actions">
+                <button onClick={() => onPromote(scenario)} className="expense-btn">{t('scenario.promote')}</button>
+                <button onClick={() => onCopyLink(scenario.id, scenario)} className="expense-btn muted">
+                  {copied === scenario.id ? t('link.copied') : t('link.copy')}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <small className="settings-hint">{t('scenario.notSaved')}</small>
+    </div>
+  )
+}
@@ -0,0 +1,70 @@
+import { WEIGHTING_MODES, WEEKDAYS } from '../lib/weighting'
+import { t, formatDate } from '../lib/i18n'
+
+// 2023-01-01 was a Sunday, so day `dow` of that week has getDay() === dow
+function weekdayName(dow) {
+  return formatDate(new Date(2023, 0, 1 + dow), { weekday: 'short' })
+}
+
+export default function WeightingSettings({ weighting, onChange }) {
+  function update(k, v) {
+    onChange({ ...weighting, [k]: v })
+  }
+
+  function setWeight(dow, value) {
+    const weights = [...weighting.weights]
+    weights[dow] = Math.max(0, Number(value) || 0)
+    update('weights', weights)
+  }
+
+  return (
+    <div className="settings-field">
+      <label className="settings-label">{t('weighting.title')}</label>
+      <select
+        value={weighting.mode}
+        onChange={e => update('mode', e.target.value)}
+        className="settings-select"
+      >
+        {WEIGHTING_MODES.map(id => <option key={id} value={id}>{t(`weighting.${id}`)}</option>)}
+      </select>
+
+      {weighting.mode === 'weekend' && (
+        <div className="settings-subfield">
+          <label className="settings-sublabel">{t('weighting.weekendFactor')}</label>
+          <input
+            type="number"
+            min="0"
+            step="0.25"
+            inputMode="decimal"
+            value={weighting.weekendFactor}
+            onChange={e => update('weekendFactor', Math.max(0, Number(e.target.value) || 0))}
+            className="settings-input"
+          />
+          <small className="settings-hint">{t('weighting.weekendHint')}</small>
+        </div>
+      )}
+
+      {weighting.mode === 'custom' && (
+        <div className="settings-subfield">
+          <div className="weekday-weights">
+            {WEEKDAYS.map(dow => (
+              <label key={dow} className="weekday-weight">
+                <span>{weekdayName(dow)}</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.25"
+                  inputMode="decimal"
+                  value={weighting.weights[dow]}
+                  onChange={e => setWeight(dow, e.target.value)}
+                  className="settings-input"
+                />
+              </label>
+            ))}
+          </div>
+          <small className="settings-hint">{t('weighting.customHint')}</small>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,28 @@
+import { makeId, parseAmount } from './ledger';
+import { convertRate } from './rates';
+import { roundMoney, sumMoney } from './money';
+
+export function createAccount({ name, balance = '', currency }) {
+  return { id: makeId(), name: name.trim(), balance, currency };
+}
+
+// Converts every account into the base currency. Accounts without a known rate
+// are listed with converted: null and left out of the total.
+export function aggregateAccounts(mainBalance, accounts, base, rateTable) {
+  const breakdown = [
+    { id: 'main', name: 'Main', balance: parseAmount(mainBalance, base), currency: base, converted: parseAmount(mainBalance, base) }
+  ];
+  for (const account of accounts || []) {
+    const balance = parseAmount(account.balance, account.currency);
+    const rate = convertRate(rateTable, account.currency, base);
+    breakdown.push({
+      id: account.id,
+      name: account.name,
+      balance,
+      currency: account.currency,
+      converted: rate ? roundMoney(balance * rate.value, base) : null
+    });
+  }
+  const total = sumMoney(breakdown.map(a => a.converted || 0), base);
+  return { total, breakdown };
+}
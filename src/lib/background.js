@@ -0,0 +1,101 @@
+import { saveMeta } from './storage';
+
+export const RATE_SYNC_TAG = 'currency-update';
+export const API_CACHE_MAX_ENTRIES = 50;
+const PERIODIC_INTERVAL = 12 * 60 * 60 * 1000;
+
+// Asks the service worker to refresh rates periodically while the app is closed.
+// Only installed PWAs in Chromium browsers get periodic sync; elsewhere it's a no-op.
+export async function registerPeriodicRateSync(registration) {
+  if (!registration || !('periodicSync' in registration)) return false;
+  try {
+    const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+    if (status.state !== 'granted') return false;
+    await registration.periodicSync.register(RATE_SYNC_TAG, { minInterval: PERIODIC_INTERVAL });
+    return true;
+  } catch (error) {
+    console.warn('Periodic rate sync unavailable:', error);
+    return false;
+  }
+}
+
+// One-off Background Sync: the service worker refreshes rates as soon as the
+// device is back online, even if the app has been closed by then.
+export async function requestRateSync() {
+  if (!('serviceWorker' in navigator)) return false;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!('sync' in registration)) return false;
+    await registration.sync.register(RATE_SYNC_TAG);
+    return true;
+  } catch (error) {
+    console.warn('Background sync unavailable:', error);
+    return false;
+  }
+}
+
+export function onServiceWorkerMessage(type, handler) {
+  if (!('serviceWorker' in navigator)) return () => {};
+  const listener = (event) => {
+    if (event.data && event.data.type === type) handler(event.data);
+  };
+  navigator.serviceWorker.addEventListener('message', listener);
+  return () => navigator.serviceWorker.removeEventListener('message', listener);
+}
+
+// Stores the API cache limits for the service worker and has it evict right away
+export async function configureApiCache(maxAge) {
+  const config = { maxAge, maxEntries: API_CACHE_MAX_ENTRIES };
+  await saveMeta('api-cache', config);
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.active) registration.active.postMessage({ type: 'CLEAN_CACHE', ...config });
+  } catch (error) {
+    console.warn('API cache cleanup request failed:', error);
+  }
+}
+
+// Calls onUpdate(worker) once a new service worker has installed and is waiting
+// to take over. It only activates when applyUpdate() is called, so a deploy
+// never swaps code under an open session.
+export function watchForUpdates(registration, onUpdate) {
+  // Without a controller this is the first install, not an update
+  if (registration.waiting && navigator.serviceWorker.controller) onUpdate(registration.waiting);
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) onUpdate(worker);
+    });
+  });
+  // Browsers only look for a new worker on navigation; also check when the app is brought back
+  const check = () => {
+    if (document.visibilityState === 'visible') registration.update().catch(() => {});
+  };
+  document.addEventListener('visibilitychange', check);
+  return () => document.removeEventListener('visibilitychange', check);
+}
+
+// Activates the waiting worker and reloads once it controls the page
+export function applyUpdate(worker) {
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    location.reload();
+  });
+  worker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+// Build version of the worker serving this page, or null when there is none
+export function getWorkerVersion() {
+  const controller = 'serviceWorker' in navigator && navigator.serviceWorker.controller;
+  if (!controller) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (event) => resolve(event.data && event.data.version);
+    controller.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+    setTimeout(() => resolve(null), 3000);
+  });
+}
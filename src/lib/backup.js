@@ -0,0 +1,246 @@
+import { makeId } from './ledger';
+import { migrate, SCHEMA_VERSION } from './storage';
+import { t, toPlainAmount } from './i18n';
+import { minorUnits, roundMoney } from './money';
+
+export const BACKUP_FORMAT = 1;
+
+// Caches that are refetched anyway and would only bloat a backup
+const TRANSIENT_KEYS = ['cachedCurrencies', 'rateTable', 'lastPerDay', 'lastSaved'];
+
+const COLLECTIONS = {
+  expenses: e => typeof e.id === 'string' && Number.isFinite(e.amount) && Number.isFinite(e.createdAt),
+  bills: b => typeof b.id === 'string' && Number.isFinite(b.amount) && /^\d{4}-\d{2}-\d{2}$/.test(b.dueDate),
+  accounts: a => typeof a.id === 'string' && typeof a.name === 'string',
+  scenarios: s => typeof s.id === 'string' && typeof s.name === 'string',
+  history: h => /^\d{4}-\d{2}-\d{2}$/.test(h.date) && typeof h.paydate === 'string'
+};
+
+// 'strings' is a list of strings, 'record' a plain object; the rest are typeof names
+const SETTING_TYPES = {
+  balance: 'string',
+  srcCurrency: 'string',
+  dstCurrency: 'string',
+  paydate: 'string',
+  useConversion: 'boolean',
+  providers: 'strings',
+  apiKeys: 'record',
+  trackDaily: 'boolean',
+  paySchedule: 'record',
+  balanceSetAt: 'number',
+  offlineRateDays: 'number',
+  favoriteCurrencies: 'strings',
+  recentCurrencies: 'strings',
+  pinnedCurrencies: 'strings',
+  language: 'string',
+  notifications: 'record',
+  savings: 'record',
+  weighting: 'record',
+  calendar: 'record'
+};
+
+function hasType(value, type) {
+  if (type === 'strings') return Array.isArray(value) && value.every(v => typeof v === 'string');
+  if (type === 'record') return typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function stamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export function exportJSON(state) {
+  const data = { ...state };
+  TRANSIENT_KEYS.forEach(k => delete data[k]);
+  // tells parseBackup which migrations the data still needs
+  data.schemaVersion = SCHEMA_VERSION;
+  return JSON.stringify({
+    app: 'dailyspend',
+    format: BACKUP_FORMAT,
+    exportedAt: new Date().toISOString(),
+    data
+  }, null, 2);
+}
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function exportCSV(expenses, currency) {
+  const rows = [['id', 'date', 'amount', 'currency', 'category', 'note']];
+  [...expenses]
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .forEach(e => rows.push([e.id, new Date(e.createdAt).toISOString(), e.amount, currency, e.category, e.note]));
+  return rows.map(r => r.map(csvCell).join(',')).join('\r\n');
+}
+
+export function downloadJSON(state) {
+  download(`dailyspend-backup-${stamp()}.json`, exportJSON(state), 'application/json');
+}
+
+export function downloadCSV(expenses, currency) {
+  download(`dailyspend-transactions-${stamp()}.csv`, exportCSV(expenses, currency), 'text/csv');
+}
+
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// Our own exports write plain numbers ("1234.567"); anything else was likely
+// typed into a spreadsheet in the current locale ("12,50")
+function csvAmount(cell, currency) {
+  const value = (cell || '').trim();
+  const plain = /^\d+(\.\d+)?$/.test(value) ? value : toPlainAmount(value, currency ? minorUnits(currency) : 2);
+  const amount = Number(plain);
+  if (!plain || !Number.isFinite(amount)) return 0;
+  return currency ? roundMoney(amount, currency) : amount;
+}
+
+// Rows in another currency than `currency` are skipped rather than booked as it
+function parseCSV(text, currency) {
+  const [header, ...rows] = parseCSVRows(text);
+  const cols = (header || []).map(h => h.trim().toLowerCase());
+  const col = name => cols.indexOf(name);
+  if (col('date') < 0 || col('amount') < 0) {
+    throw new Error(t('backup.csvColumns'));
+  }
+  const expenses = [];
+  let skipped = 0;
+  const foreign = new Set();
+  let foreignRows = 0;
+  for (const r of rows) {
+    const rowCurrency = col('currency') >= 0 ? (r[col('currency')] || '').trim().toUpperCase() : '';
+    if (currency && rowCurrency && rowCurrency !== currency) {
+      foreign.add(rowCurrency);
+      foreignRows++;
+      continue;
+    }
+    const createdAt = Date.parse(r[col('date')]);
+    const amount = csvAmount(r[col('amount')], currency);
+    if (!Number.isFinite(createdAt) || !(amount > 0)) { skipped++; continue; }
+    expenses.push({
+      id: (col('id') >= 0 && r[col('id')]) || makeId(),
+      amount,
+      note: col('note') >= 0 ? r[col('note')] || '' : '',
+      category: (col('category') >= 0 && r[col('category')]) || 'other',
+      createdAt
+    });
+  }
+  const warnings = skipped ? [t('backup.skippedRows', { count: skipped })] : [];
+  if (foreignRows) {
+    warnings.push(t('backup.otherCurrency', { count: foreignRows, currencies: [...foreign].join(', '), currency }));
+  }
+  return { kind: 'csv', data: { expenses }, warnings };
+}
+
+function parseJSONBackup(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error(t('backup.invalidJSON'));
+  }
+  if (!json || json.app !== 'dailyspend' || typeof json.data !== 'object') {
+    throw new Error(t('backup.notBackup'));
+  }
+  if (json.format > BACKUP_FORMAT) {
+    throw new Error(t('backup.newerVersion'));
+  }
+
+  // Older backups are brought up to the current layout before validating
+  const source = migrate(json.data);
+  const data = {};
+  const warnings = [];
+  for (const [key, valid] of Object.entries(COLLECTIONS)) {
+    const list = source[key];
+    if (list === undefined) continue;
+    if (!Array.isArray(list)) {
+      warnings.push(t('backup.malformed', { key }));
+      continue;
+    }
+    data[key] = list.filter(item => item && typeof item === 'object' && valid(item));
+    const dropped = list.length - data[key].length;
+    if (dropped) warnings.push(t('backup.invalidEntries', { count: dropped, key }));
+  }
+  for (const [key, type] of Object.entries(SETTING_TYPES)) {
+    const value = source[key];
+    if (value === undefined || value === null) continue;
+    if (hasType(value, type)) data[key] = value;
+    else warnings.push(t('backup.badSetting', { key }));
+  }
+  return { kind: 'json', exportedAt: json.exportedAt, data, warnings };
+}
+
+// Parses and validates an export file. Throws with a readable message when
+// unusable. CSV amounts are taken to be in `currency`, the app's main one.
+export function parseBackup(text, { currency = null } = {}) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (!trimmed) throw new Error(t('backup.emptyFile'));
+  return trimmed.startsWith('{') ? parseJSONBackup(trimmed) : parseCSV(trimmed, currency);
+}
+
+export function summarizeBackup({ data }) {
+  const parts = [];
+  for (const key of Object.keys(COLLECTIONS)) {
+    if (data[key]) parts.push([key, data[key].length]);
+  }
+  const settings = Object.keys(SETTING_TYPES).filter(k => k in data).length;
+  return { collections: parts, settings };
+}
+
+function mergeById(current, incoming, key = 'id') {
+  const byKey = new Map((current || []).map(item => [item[key], item]));
+  incoming.forEach(item => { if (!byKey.has(item[key])) byKey.set(item[key], item); });
+  return [...byKey.values()];
+}
+
+// 'replace' swaps in everything the backup contains; 'merge' keeps current
+// settings and only adds records that aren't there yet.
+export function applyBackup(state, backup, mode) {
+  const { data } = backup;
+  if (mode === 'replace') {
+    return { ...state, ...data, dayBudget: null };
+  }
+  const next = { ...state };
+  for (const key of Object.keys(COLLECTIONS)) {
+    if (!data[key]) continue;
+    next[key] = key === 'history'
+      ? mergeById(state.history, data.history, 'date').sort((a, b) => a.date.localeCompare(b.date))
+      : mergeById(state[key], data[key]);
+  }
+  return next;
+}
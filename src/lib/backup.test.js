@@ -0,0 +1,90 @@
+import { describe, it, expect, afterAll } from 'vitest';
+import { exportJSON, exportCSV, parseBackup } from './backup';
+import { setLanguage } from './i18n';
+import { migrate, SCHEMA_VERSION } from './storage';
+
+describe('JSON backups', () => {
+  const state = {
+    balance: '1200.5',
+    srcCurrency: 'EUR',
+    providers: ['open-er-api', 'exchangerate-host', 'frankfurter'],
+    apiKeys: { 'exchangerate-host': 'secret' },
+    expenses: [{ id: 'e1', amount: 12, category: 'food', note: '', createdAt: 1 }],
+    rateTable: { EUR: { base: 'EUR', rates: { USD: 1.1 } } }
+  };
+
+  it('round-trips the provider chain and API keys', () => {
+    const text = exportJSON(state);
+    expect(JSON.parse(text).data.schemaVersion).toBe(SCHEMA_VERSION);
+
+    const { data, warnings } = parseBackup(text);
+    expect(warnings).toEqual([]);
+    expect(data.providers).toEqual(state.providers);
+    expect(data.apiKeys).toEqual(state.apiKeys);
+    expect(data.expenses).toEqual(state.expenses);
+    expect(data.balance).toBe('1200.5');
+  });
+
+  it('still migrates backups from before the provider chain', () => {
+    const text = JSON.stringify({
+      app: 'dailyspend', format: 1, data: { version: 'v2', provider: 'open-er-api', apiKey: 'old' }
+    });
+    const { data } = parseBackup(text);
+    expect(data.providers).toEqual(['open-er-api', 'frankfurter']);
+    expect(data.apiKeys).toEqual({ 'exchangerate-host': 'old' });
+  });
+});
+
+describe('CSV imports', () => {
+  afterAll(() => setLanguage('en'));
+
+  it('round-trips an export in the same currency', () => {
+    const expenses = [{ id: 'e1', amount: 1234.567, category: 'food', note: 'a, b', createdAt: Date.UTC(2026, 2, 10) }];
+    setLanguage('de');
+    const { data, warnings } = parseBackup(exportCSV(expenses, 'KWD'), { currency: 'KWD' });
+    expect(warnings).toEqual([]);
+    expect(data.expenses).toEqual(expenses);
+  });
+
+  it('skips rows in another currency', () => {
+    setLanguage('en');
+    const text = 'date,amount,currency\n2026-03-10,10,USD\n2026-03-10,5,EUR\n2026-03-11,7,usd\n';
+    const { data, warnings } = parseBackup(text, { currency: 'EUR' });
+    expect(data.expenses.map(e => e.amount)).toEqual([5]);
+    expect(warnings).toEqual(['2 rows in USD will be skipped, as amounts are booked in EUR.']);
+  });
+
+  it('reads amounts written in the current locale', () => {
+    setLanguage('de');
+    const text = 'date,amount\n2026-03-10,"12,50"\n2026-03-10,"1.234,5"\n2026-03-10,3.333\n';
+    expect(parseBackup(text, { currency: 'EUR' }).data.expenses.map(e => e.amount)).toEqual([12.5, 1234.5, 3.33]);
+  });
+});
+
+describe('backup settings', () => {
+  it('drops lists and maps of the wrong shape', () => {
+    const text = JSON.stringify({
+      app: 'dailyspend', format: 1, data: {
+        schemaVersion: SCHEMA_VERSION,
+        providers: { 0: 'frankfurter' },
+        pinnedCurrencies: {},
+        favoriteCurrencies: ['EUR', 7],
+        recentCurrencies: ['USD'],
+        apiKeys: ['secret'],
+        calendar: { timeZone: 'auto' }
+      }
+    });
+    const { data, warnings } = parseBackup(text);
+    expect(data).toEqual({ recentCurrencies: ['USD'], calendar: { timeZone: 'auto' } });
+    expect(warnings).toHaveLength(4);
+  });
+});
+
+describe('migrate', () => {
+  it('keeps a provider chain that unversioned data already has', () => {
+    const out = migrate({ providers: ['exchangerate-host'], apiKeys: { 'exchangerate-host': 'k' } });
+    expect(out.providers).toEqual(['exchangerate-host']);
+    expect(out.apiKeys).toEqual({ 'exchangerate-host': 'k' });
+    expect(out.schemaVersion).toBe(SCHEMA_VERSION);
+  });
+});
@@ -0,0 +1,51 @@
+import { makeId, parseAmount } from './ledger';
+import { toISODate, parseISODate } from './dates';
+
+export const RECURRENCES = ['none', 'weekly', 'monthly', 'yearly'];
+
+export function createBill({ name, amount, dueDate, recurrence = 'none', currency }) {
+  return {
+    id: makeId(),
+    name: name.trim(),
+    amount: parseAmount(amount, currency),
+    dueDate, // the next unpaid occurrence
+    recurrence,
+    currency
+  };
+}
+
+function step(date, recurrence, anchorDay) {
+  const y = date.getFullYear();
+  const m = date.getMonth();
+  if (recurrence === 'weekly') return new Date(y, m, date.getDate() + 7);
+  if (recurrence === 'monthly') {
+    // Keep the original day where the month allows it (31st -> 30th -> 31st)
+    const last = new Date(y, m + 2, 0).getDate();
+    return new Date(y, m + 1, Math.min(anchorDay, last));
+  }
+  if (recurrence === 'yearly') {
+    const last = new Date(y + 1, m + 1, 0).getDate();
+    return new Date(y + 1, m, Math.min(anchorDay, last));
+  }
+  return null;
+}
+
+// Due dates of a bill from its next unpaid occurrence up to and including `untilISO`
+export function occurrences(bill, untilISO) {
+  if (!bill.dueDate) return [];
+  const out = [];
+  const anchorDay = parseISODate(bill.dueDate).getDate();
+  let d = parseISODate(bill.dueDate);
+  while (d && toISODate(d) <= untilISO && out.length < 400) {
+    out.push(toISODate(d));
+    d = step(d, bill.recurrence, anchorDay);
+  }
+  return out;
+}
+
+// After paying, a recurring bill moves on to its next occurrence; one-off bills are done
+export function advanceBill(bill) {
+  const anchorDay = parseISODate(bill.dueDate).getDate();
+  const next = step(parseISODate(bill.dueDate), bill.recurrence, anchorDay);
+  return next ? { ...bill, dueDate: toISODate(next) } : null;
+}
@@ -0,0 +1,246 @@
+// The budget engine: everything the result card shows, worked out from the
+// saved inputs and the time. It has no React or DOM in it and does no text
+// formatting, so it can be run and tested on its own.
+//
+// input = {
+//   balance, accounts, currency,     main balance (as typed), extra accounts, main currency
+//   targetCurrency,                  show amounts in this currency as well (null for off)
+//   pinnedCurrencies,                more currencies to show today's budget in
+//   rateTable,                       see lib/rates
+//   paydate,                         YYYY-MM-DD, last day of the period
+//   expenses, balanceSetAt, bills,   see lib/ledger and lib/bills
+//   savings, weighting,              see lib/savings and lib/weighting
+//   trackDaily, dayBudget            fix the allowance once a day, with the last fixed day
+//   calendar                         time zone, day start and payday counting, see lib/dates
+// }
+//
+// result = {
+//   status: 'empty' | 'error' | 'ok',
+//   error: null | 'futurePayday' | 'billsExceedBalance' | 'balanceUsedUp' | 'savingsTakesRest',
+//   warnings: [{ code: 'missingRate', kind: 'account' | 'bill' | 'pinned', id, currency }
+//            | { code: 'staleRate', from, to, fetchedAt }],
+//   currency, displayCurrency, conversion: null | { currency, rate },
+//   perDay,       left to spend today, in displayCurrency
+//   pinned,       [{ currency, rate, perDay }] perDay in each pinned currency, null without a rate
+//   allowance,    today's allowance before today's spending, in displayCurrency
+//   daysLeft,     spending days from today up to payday (and payday itself if it counts)
+//   balance,      after spending and bills; spendable is that minus savings
+//   spendable, spent, spentToday, reserved, reservations, accounts,
+//   savings, week, daily, dayBudget, snapshot
+// }
+//
+// Amounts without a currency noted are in the main currency. Sums and splits
+// go through lib/money so they stay on the currency's minor unit.
+
+import { countedExpenses, totalSpent, spentBetween } from './ledger';
+import {
+  DEFAULT_CALENDAR, toISODate, parseISODate, isoDaysBetween, budgetDay, budgetDayStart
+} from './dates';
+import { occurrences } from './bills';
+import { aggregateAccounts } from './accounts';
+import { convertRate } from './rates';
+import { savingsTarget, savingsProgress } from './savings';
+import { allocate } from './weighting';
+import { roundMoney, floorMoney, sumMoney } from './money';
+
+// Payday used before one is set: the 15th, this month if it's still ahead
+export function defaultPaydate(now = new Date()) {
+  const month = now.getDate() < 15 ? now.getMonth() : now.getMonth() + 1;
+  return toISODate(new Date(now.getFullYear(), month, 15));
+}
+
+// Budget days from today to payday, so DST changes and the time of day don't
+// matter. Payday itself is included unless the calendar says otherwise.
+// 0 or less when no spending day is left.
+export function spendingDays(paydate, now = new Date(), calendar = DEFAULT_CALENDAR) {
+  return isoDaysBetween(budgetDay(now, calendar), paydate) + (calendar.paydayCounts === false ? 0 : 1);
+}
+
+// Upcoming allowances; only worth showing when days differ
+function weekView(plan, weighting, rate, currency) {
+  if (!weighting || weighting.mode === 'even') return null;
+  return plan.slice(0, 7).map(day => ({ ...day, amount: floorMoney(day.amount * rate, currency) }));
+}
+
+function emptyResult(currency) {
+  return {
+    status: 'empty',
+    error: null,
+    warnings: [],
+    currency,
+    displayCurrency: currency,
+    conversion: null,
+    perDay: null,
+    pinned: [],
+    allowance: null,
+    daysLeft: 0,
+    balance: 0,
+    spendable: 0,
+    spent: 0,
+    spentToday: 0,
+    reserved: 0,
+    reservations: [],
+    accounts: [],
+    savings: null,
+    week: null,
+    daily: null,
+    dayBudget: null,
+    snapshot: null
+  };
+}
+
+export function computeBudget(input, now = new Date()) {
+  const {
+    balance: mainBalance, accounts = [], currency, targetCurrency = null, pinnedCurrencies = [], rateTable = {},
+    paydate, expenses = [], balanceSetAt = null, bills = [],
+    savings: savingsConfig = null, weighting = null, trackDaily = false, dayBudget = null
+  } = input;
+  const calendar = { ...DEFAULT_CALENDAR, ...input.calendar };
+  const out = emptyResult(currency);
+  const fail = error => ({ ...out, status: 'error', error });
+
+  const { total: startingBalance, breakdown } = aggregateAccounts(mainBalance, accounts, currency, rateTable);
+  if (accounts.length) out.accounts = breakdown;
+  for (const account of breakdown) {
+    if (account.converted === null) {
+      out.warnings.push({ code: 'missingRate', kind: 'account', id: account.id, currency: account.currency });
+    }
+  }
+
+  const rate = targetCurrency && targetCurrency !== currency
+    ? convertRate(rateTable, currency, targetCurrency, now.getTime())
+    : null;
+  if (rate) {
+    out.conversion = { currency: targetCurrency, rate };
+    out.displayCurrency = targetCurrency;
+    if (rate.stale || rate.offline) {
+      out.warnings.push({ code: 'staleRate', from: currency, to: targetCurrency, fetchedAt: rate.fetchedAt });
+    }
+  }
+  const factor = rate ? rate.value : 1;
+  const displayCurrency = out.displayCurrency;
+
+  const pinnedRates = pinnedCurrencies
+    .filter(code => code !== displayCurrency)
+    .map(code => ({ currency: code, rate: convertRate(rateTable, currency, code, now.getTime()) }));
+  for (const { currency: code, rate: pinnedRate } of pinnedRates) {
+    if (!pinnedRate) {
+      out.warnings.push({ code: 'missingRate', kind: 'pinned', id: code, currency: code });
+    } else if (pinnedRate.stale || pinnedRate.offline) {
+      out.warnings.push({ code: 'staleRate', from: currency, to: code, fetchedAt: pinnedRate.fetchedAt });
+    }
+  }
+  // the same figure as perDay (before converting) in each pinned currency
+  const pinned = perDay => pinnedRates.map(({ currency: code, rate: pinnedRate }) => ({
+    currency: code,
+    rate: pinnedRate,
+    perDay: pinnedRate ? floorMoney(perDay * pinnedRate.value, code) : null
+  }));
+
+  if (!startingBalance || !paydate) return out;
+
+  const counted = countedExpenses(expenses, balanceSetAt);
+  const today = budgetDay(now, calendar);
+  const todayStart = budgetDayStart(today, calendar);
+  // today's spending counts against today's allowance even when it is already
+  // part of a balance typed in later today
+  out.spentToday = spentBetween(expenses, todayStart, Infinity, currency);
+  out.spent = totalSpent(counted, currency);
+
+  // bills due up to payday aren't spendable
+  out.reservations = bills
+    .map(bill => {
+      const dates = occurrences(bill, paydate);
+      const billRate = convertRate(rateTable, bill.currency, currency, now.getTime());
+      return { bill, dates, amount: billRate ? roundMoney(bill.amount * dates.length * billRate.value, currency) : null };
+    })
+    .filter(r => r.dates.length > 0);
+  for (const r of out.reservations) {
+    if (r.amount === null) out.warnings.push({ code: 'missingRate', kind: 'bill', id: r.bill.id, currency: r.bill.currency });
+  }
+  out.reserved = sumMoney(out.reservations.map(r => r.amount || 0), currency);
+
+  out.balance = sumMoney([startingBalance, -out.spent, -out.reserved], currency);
+  const target = savingsTarget(savingsConfig, startingBalance, currency);
+  out.spendable = sumMoney([out.balance, -target], currency);
+  const startOfDayBalance = sumMoney([out.spendable, out.spentToday], currency);
+  if ((trackDaily ? startOfDayBalance : out.spendable) <= 0) {
+    return fail(out.balance > 0 && target > 0
+      ? 'savingsTakesRest'
+      : out.reserved > 0
+        ? 'billsExceedBalance'
+        : 'balanceUsedUp');
+  }
+
+  const days = spendingDays(paydate, now, calendar);
+  if (days <= 0) return fail('futurePayday');
+  out.daysLeft = days;
+
+  if (target > 0) {
+    const since = balanceSetAt ? budgetDay(balanceSetAt, calendar) : today;
+    out.savings = {
+      name: (savingsConfig.name || '').trim(),
+      ...savingsProgress({
+        target,
+        balance: out.balance,
+        // paid bills are one-offs, not part of the spending pace
+        spent: totalSpent(counted.filter(e => e.category !== 'bills'), currency),
+        spentToday: out.spentToday,
+        elapsedDays: isoDaysBetween(since, today) + 1,
+        daysLeft: days
+      })
+    };
+  }
+
+  // each remaining day's share of what is left at the start of today
+  const plan = allocate(startOfDayBalance, weighting, parseISODate(today), days, currency);
+  out.status = 'ok';
+  out.snapshot = {
+    date: today,
+    paydate,
+    currency,
+    balance: out.spendable,
+    allowance: plan[0].amount,
+    spent: out.spentToday
+  };
+
+  // converted amounts are rounded down to what the display currency can express
+  if (!trackDaily) {
+    const spendablePlan = allocate(out.spendable, weighting, parseISODate(today), days, currency);
+    out.perDay = floorMoney(spendablePlan[0].amount * factor, displayCurrency);
+    out.pinned = pinned(spendablePlan[0].amount);
+    out.allowance = out.perDay;
+    out.week = weekView(spendablePlan, weighting, factor, displayCurrency);
+    return out;
+  }
+
+  // The allowance is fixed once per day so edits during the day don't move it;
+  // whatever was left over (or overspent) since the last fixed day is spread
+  // across the remaining days when the next one is computed.
+  const prev = dayBudget;
+  if (prev && prev.date === today && prev.paydate === paydate) {
+    out.dayBudget = prev;
+  } else {
+    let rollover = 0;
+    if (prev && prev.paydate === paydate && prev.date < today) {
+      const gap = isoDaysBetween(prev.date, today);
+      // like spentToday, spending already part of a retyped balance still used up those days
+      const spentSince = spentBetween(expenses, budgetDayStart(prev.date, calendar), todayStart, currency);
+      rollover = sumMoney([prev.allowance * gap, -spentSince], currency);
+    }
+    out.dayBudget = { date: today, paydate, allowance: plan[0].amount, rollover };
+  }
+
+  out.snapshot.allowance = out.dayBudget.allowance;
+  const leftToday = sumMoney([out.dayBudget.allowance, -out.spentToday], currency);
+  out.perDay = floorMoney(leftToday * factor, displayCurrency);
+  out.pinned = pinned(leftToday);
+  out.allowance = floorMoney(out.dayBudget.allowance * factor, displayCurrency);
+  out.week = weekView(plan, weighting, factor, displayCurrency);
+  out.daily = {
+    allowance: out.allowance,
+    spentToday: roundMoney(out.spentToday * factor, displayCurrency),
+    rollover: roundMoney(out.dayBudget.rollover * factor, displayCurrency)
+  };
+  return out;
+}
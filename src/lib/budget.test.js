@@ -0,0 +1,341 @@
+import { describe, it, expect } from 'vitest';
+import { computeBudget, spendingDays, defaultPaydate } from './budget';
+
+// Tests run in Europe/Berlin (see vite.config.js): clocks go forward on
+// 2026-03-29 and back on 2026-10-25.
+function at(y, m, d, h = 12, min = 0) {
+  return new Date(y, m - 1, d, h, min);
+}
+
+const HOUR = 60 * 60 * 1000;
+
+function budget(input, now) {
+  return computeBudget({ currency: 'EUR', ...input }, now);
+}
+
+describe('spendingDays', () => {
+  it('counts today and payday', () => {
+    expect(spendingDays('2026-03-19', at(2026, 3, 10))).toBe(10);
+  });
+
+  it('is 1 on payday itself, at any time of day', () => {
+    expect(spendingDays('2026-05-01', new Date(2026, 4, 1, 0, 0, 1))).toBe(1);
+    expect(spendingDays('2026-05-01', new Date(2026, 4, 1, 23, 59, 59, 999))).toBe(1);
+  });
+
+  it('is 0 or less once payday has passed', () => {
+    expect(spendingDays('2026-04-30', at(2026, 5, 1, 0, 1))).toBe(0);
+    expect(spendingDays('2026-04-01', at(2026, 5, 1))).toBeLessThan(0);
+  });
+
+  it('is not thrown off by the short day when clocks go forward', () => {
+    expect(spendingDays('2026-04-07', at(2026, 3, 28, 0, 30))).toBe(11);
+    expect(spendingDays('2026-03-30', at(2026, 3, 29, 3, 0))).toBe(2);
+  });
+
+  it('is not thrown off by the long day when clocks go back', () => {
+    // (payday 23:59:59 - now) / 24h rounds up to 12 here
+    expect(spendingDays('2026-10-30', at(2026, 10, 20, 0, 30))).toBe(11);
+    expect(spendingDays('2026-10-25', at(2026, 10, 25, 2, 30))).toBe(1);
+  });
+
+  it('counts February 29th in leap years', () => {
+    expect(spendingDays('2028-03-01', at(2028, 2, 28))).toBe(3);
+    expect(spendingDays('2027-03-01', at(2027, 2, 28))).toBe(2);
+  });
+
+  it('runs across the end of the year', () => {
+    expect(spendingDays('2027-01-01', at(2026, 12, 31, 23, 59))).toBe(2);
+  });
+
+  it('counts in the calendar\'s time zone', () => {
+    // 04:00 on the 10th in Berlin, still 23:00 on the 9th in New York
+    const now = new Date('2026-03-10T03:00:00Z');
+    expect(spendingDays('2026-03-19', now)).toBe(10);
+    expect(spendingDays('2026-03-19', now, { timeZone: 'America/New_York', dayStartHour: 0 })).toBe(11);
+    // New York moves its clocks on 2026-03-08
+    const beforeChange = new Date('2026-03-08T04:30:00Z');
+    expect(spendingDays('2026-03-10', beforeChange, { timeZone: 'America/New_York', dayStartHour: 0 })).toBe(4);
+  });
+
+  it('keeps counting the day before until the day starts', () => {
+    const calendar = { timeZone: 'auto', dayStartHour: 4 };
+    expect(spendingDays('2026-03-19', at(2026, 3, 10, 3, 59), calendar)).toBe(11);
+    expect(spendingDays('2026-03-19', at(2026, 3, 10, 4, 0), calendar)).toBe(10);
+  });
+
+  it('can leave payday out', () => {
+    const calendar = { timeZone: 'auto', dayStartHour: 0, paydayCounts: false };
+    expect(spendingDays('2026-03-19', at(2026, 3, 10), calendar)).toBe(9);
+    expect(spendingDays('2026-03-19', at(2026, 3, 19), calendar)).toBe(0);
+  });
+});
+
+describe('defaultPaydate', () => {
+  it('is the 15th of this month while it is still ahead', () => {
+    expect(defaultPaydate(at(2026, 1, 14))).toBe('2026-01-15');
+  });
+
+  it('moves to next month from the 15th on', () => {
+    expect(defaultPaydate(at(2026, 1, 15))).toBe('2026-02-15');
+    expect(defaultPaydate(at(2028, 2, 29))).toBe('2028-03-15');
+  });
+
+  it('rolls over into the next year', () => {
+    expect(defaultPaydate(at(2026, 12, 20))).toBe('2027-01-15');
+  });
+});
+
+describe('computeBudget', () => {
+  it('is empty until there is a balance and a payday', () => {
+    expect(budget({ balance: '', paydate: '2026-03-19' }, at(2026, 3, 10)).status).toBe('empty');
+    expect(budget({ balance: '100', paydate: '' }, at(2026, 3, 10)).status).toBe('empty');
+  });
+
+  it('splits the balance evenly up to and including payday', () => {
+    const result = budget({ balance: '1000', paydate: '2026-03-19' }, at(2026, 3, 10, 9));
+    expect(result.status).toBe('ok');
+    expect(result.daysLeft).toBe(10);
+    expect(result.perDay).toBe(100);
+    expect(result.allowance).toBe(100);
+    expect(result.warnings).toEqual([]);
+    expect(result.snapshot).toEqual({
+      date: '2026-03-10', paydate: '2026-03-19', currency: 'EUR', balance: 1000, allowance: 100, spent: 0
+    });
+  });
+
+  it('gives the same allowance on either side of a DST change', () => {
+    const before = budget({ balance: '1100', paydate: '2026-10-30' }, at(2026, 10, 20, 0, 30));
+    const after = budget({ balance: '1100', paydate: '2026-04-07' }, at(2026, 3, 28, 0, 30));
+    expect(before.daysLeft).toBe(11);
+    expect(before.perDay).toBe(100);
+    expect(after.daysLeft).toBe(11);
+    expect(after.perDay).toBe(100);
+  });
+
+  it('includes February 29th in leap years', () => {
+    expect(budget({ balance: '300', paydate: '2028-03-01' }, at(2028, 2, 28)).perDay).toBe(100);
+    expect(budget({ balance: '300', paydate: '2027-03-01' }, at(2027, 2, 28)).perDay).toBe(150);
+  });
+
+  it('decides "today" by local time, not UTC', () => {
+    // 00:30 on July 1st in Berlin, still June 30th in UTC
+    const now = new Date('2026-06-30T22:30:00Z');
+    const expenses = [
+      { id: 'a', amount: 10, category: 'food', createdAt: Date.parse('2026-06-30T21:30:00Z') },
+      { id: 'b', amount: 5, category: 'food', createdAt: Date.parse('2026-06-30T22:15:00Z') }
+    ];
+    const result = budget({ balance: '115', paydate: '2026-07-01', expenses, trackDaily: true }, now);
+    expect(result.daysLeft).toBe(1);
+    expect(result.snapshot.date).toBe('2026-07-01');
+    expect(result.spentToday).toBe(5);
+    expect(result.allowance).toBe(105);
+    expect(result.perDay).toBe(100);
+  });
+
+  it('books late-night spending on the day before when the day starts later', () => {
+    const calendar = { timeZone: 'auto', dayStartHour: 4 };
+    const expenses = [{ id: 'a', amount: 20, category: 'fun', createdAt: at(2026, 3, 10, 2).getTime() }];
+    const input = { balance: '1000', paydate: '2026-03-19', expenses, trackDaily: true, calendar };
+    const night = budget(input, at(2026, 3, 10, 3));
+    expect(night.snapshot.date).toBe('2026-03-09');
+    expect(night.daysLeft).toBe(11);
+    expect(night.spentToday).toBe(20);
+    const morning = budget(input, at(2026, 3, 10, 9));
+    expect(morning.snapshot.date).toBe('2026-03-10');
+    expect(morning.spentToday).toBe(0);
+    expect(morning.perDay).toBe(98);
+  });
+
+  it('leaves payday out of the budget when asked to', () => {
+    const calendar = { paydayCounts: false };
+    expect(budget({ balance: '900', paydate: '2026-03-19', calendar }, at(2026, 3, 10)).perDay).toBe(100);
+    expect(budget({ balance: '900', paydate: '2026-03-19', calendar }, at(2026, 3, 19)).error).toBe('futurePayday');
+  });
+
+  it('never hands out more than there is', () => {
+    const result = budget({ balance: '100', paydate: '2026-03-12' }, at(2026, 3, 10));
+    expect(result.perDay).toBe(33.33);
+  });
+
+  it('uses the currency minor unit', () => {
+    expect(budget({ balance: '10000', currency: 'JPY', paydate: '2026-03-12' }, at(2026, 3, 10)).perDay).toBe(3333);
+    expect(budget({ balance: '10', currency: 'KWD', paydate: '2026-03-12' }, at(2026, 3, 10)).perDay).toBe(3.333);
+  });
+
+  it('adds up expenses without floating-point drift', () => {
+    const expenses = [
+      { id: 'a', amount: 0.1, category: 'food', createdAt: at(2026, 3, 9).getTime() },
+      { id: 'b', amount: 0.2, category: 'food', createdAt: at(2026, 3, 9).getTime() }
+    ];
+    const result = budget({ balance: '0.6', paydate: '2026-03-10', expenses }, at(2026, 3, 10));
+    expect(result.spent).toBe(0.3);
+    expect(result.balance).toBe(0.3);
+    expect(result.perDay).toBe(0.3);
+  });
+
+  it('reserves month-end bills on the last day of shorter months', () => {
+    const bill = { id: 'rent', name: 'Rent', amount: 100, dueDate: '2026-01-31', recurrence: 'monthly', currency: 'EUR' };
+    const result = budget({ balance: '1000', paydate: '2026-03-31', bills: [bill] }, at(2026, 1, 20));
+    expect(result.reservations[0].dates).toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+    expect(result.reserved).toBe(300);
+    expect(result.balance).toBe(700);
+    expect(result.daysLeft).toBe(71);
+  });
+
+  it('reports why there is nothing to spend', () => {
+    const now = at(2026, 3, 10);
+    const bill = { id: 'b', name: 'Loan', amount: 200, dueDate: '2026-03-15', recurrence: 'none', currency: 'EUR' };
+    const spentAll = [{ id: 'a', amount: 100, category: 'other', createdAt: now.getTime() - HOUR }];
+    expect(budget({ balance: '100', paydate: '2026-03-19', bills: [bill] }, now).error).toBe('billsExceedBalance');
+    expect(budget({ balance: '100', paydate: '2026-03-19', expenses: spentAll }, now).error).toBe('balanceUsedUp');
+    expect(budget({
+      balance: '100', paydate: '2026-03-19', savings: { mode: 'percent', percent: 100, name: '' }
+    }, now).error).toBe('savingsTakesRest');
+    expect(budget({ balance: '100', paydate: '2026-03-09' }, now).error).toBe('futurePayday');
+  });
+
+  it('holds back the savings goal', () => {
+    const result = budget({
+      balance: '1100', paydate: '2026-03-19', savings: { mode: 'amount', amount: '100', name: 'Trip' }
+    }, at(2026, 3, 10));
+    expect(result.spendable).toBe(1000);
+    expect(result.perDay).toBe(100);
+    expect(result.savings.name).toBe('Trip');
+    expect(result.savings.target).toBe(100);
+  });
+
+  it('weights weekends', () => {
+    // Friday to Sunday, weekend days counting double
+    const weighting = { mode: 'weekend', weekendFactor: 2, weights: [1, 1, 1, 1, 1, 1, 1] };
+    const result = budget({ balance: '500', paydate: '2026-03-15', weighting }, at(2026, 3, 13));
+    expect(result.perDay).toBe(100);
+    expect(result.week.map(day => day.amount)).toEqual([100, 200, 200]);
+  });
+
+  describe('with a target currency', () => {
+    const now = at(2026, 3, 10);
+    const rateTable = fetchedAt => ({
+      EUR: { base: 'EUR', rates: { USD: 1.1 }, date: '2026-03-10', fetchedAt, provider: 'frankfurter' }
+    });
+
+    it('converts the allowance', () => {
+      const result = budget({
+        balance: '1000', paydate: '2026-03-19', targetCurrency: 'USD', rateTable: rateTable(now.getTime() - HOUR)
+      }, now);
+      expect(result.displayCurrency).toBe('USD');
+      expect(result.conversion.rate.value).toBe(1.1);
+      expect(result.perDay).toBe(110);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('warns about a stale rate', () => {
+      const fetchedAt = now.getTime() - 48 * HOUR;
+      const result = budget({
+        balance: '1000', paydate: '2026-03-19', targetCurrency: 'USD', rateTable: rateTable(fetchedAt)
+      }, now);
+      expect(result.warnings).toEqual([{ code: 'staleRate', from: 'EUR', to: 'USD', fetchedAt }]);
+    });
+
+    it('stays in the main currency without a rate', () => {
+      const result = budget({ balance: '1000', paydate: '2026-03-19', targetCurrency: 'USD' }, now);
+      expect(result.displayCurrency).toBe('EUR');
+      expect(result.conversion).toBe(null);
+      expect(result.perDay).toBe(100);
+    });
+  });
+
+  describe('with pinned currencies', () => {
+    const now = at(2026, 3, 10);
+    const rateTable = {
+      EUR: { base: 'EUR', rates: { USD: 1.1, JPY: 161.37 }, fetchedAt: now.getTime() - HOUR },
+      GBP: { base: 'GBP', rates: { EUR: 1.2 }, fetchedAt: now.getTime() - 48 * HOUR }
+    };
+
+    it('shows today\'s budget in each, rounded down to its minor unit', () => {
+      const result = budget({
+        balance: '1000', paydate: '2026-03-19', targetCurrency: 'USD', rateTable,
+        pinnedCurrencies: ['JPY', 'USD', 'EUR', 'CHF']
+      }, now);
+      expect(result.perDay).toBe(110);
+      expect(result.pinned.map(({ currency, perDay }) => [currency, perDay])).toEqual([
+        ['JPY', 16137], ['EUR', 100], ['CHF', null]
+      ]);
+      expect(result.warnings).toEqual([{ code: 'missingRate', kind: 'pinned', id: 'CHF', currency: 'CHF' }]);
+    });
+
+    it('follows what is left today when tracking daily', () => {
+      const dayBudget = { date: '2026-03-10', paydate: '2026-03-19', allowance: 80, rollover: 0 };
+      const expenses = [{ id: 'a', amount: 30, category: 'food', createdAt: at(2026, 3, 10, 11).getTime() }];
+      const result = budget({
+        balance: '1000', paydate: '2026-03-19', expenses, trackDaily: true, dayBudget, rateTable, pinnedCurrencies: ['USD']
+      }, now);
+      expect(result.pinned[0]).toMatchObject({ currency: 'USD', perDay: 55 });
+    });
+
+    it('marks stale rates', () => {
+      const result = budget({ balance: '1000', paydate: '2026-03-19', rateTable, pinnedCurrencies: ['GBP'] }, now);
+      expect(result.pinned[0].rate.stale).toBe(true);
+      expect(result.pinned[0].perDay).toBe(83.33);
+      expect(result.warnings).toEqual([
+        { code: 'staleRate', from: 'EUR', to: 'GBP', fetchedAt: rateTable.GBP.fetchedAt }
+      ]);
+    });
+  });
+
+  it('warns about accounts and bills it cannot convert', () => {
+    const accounts = [{ id: 'cash', name: 'Cash', balance: '50', currency: 'GBP' }];
+    const bills = [{ id: 'gym', name: 'Gym', amount: 30, dueDate: '2026-03-15', recurrence: 'none', currency: 'CHF' }];
+    const result = budget({ balance: '1000', paydate: '2026-03-19', accounts, bills }, at(2026, 3, 10));
+    expect(result.perDay).toBe(100);
+    expect(result.warnings).toEqual([
+      { code: 'missingRate', kind: 'account', id: 'cash', currency: 'GBP' },
+      { code: 'missingRate', kind: 'bill', id: 'gym', currency: 'CHF' }
+    ]);
+  });
+
+  describe('tracking daily', () => {
+    const yesterday = { date: '2026-03-09', paydate: '2026-03-19', allowance: 100, rollover: 0 };
+
+    it('carries what was left yesterday into the remaining days', () => {
+      const expenses = [{ id: 'a', amount: 40, category: 'food', createdAt: at(2026, 3, 9).getTime() }];
+      const result = budget({
+        balance: '1000', paydate: '2026-03-19', expenses, trackDaily: true, dayBudget: yesterday
+      }, at(2026, 3, 10));
+      expect(result.dayBudget).toEqual({ date: '2026-03-10', paydate: '2026-03-19', allowance: 96, rollover: 60 });
+      expect(result.daily).toEqual({ allowance: 96, spentToday: 0, rollover: 60 });
+    });
+
+    it('carries nothing over when yesterday\'s spending went into a retyped balance', () => {
+      const expenses = [{ id: 'a', amount: 100, category: 'food', createdAt: at(2026, 3, 9, 10).getTime() }];
+      const result = budget({
+        balance: '900', balanceSetAt: at(2026, 3, 9, 20).getTime(), paydate: '2026-03-19',
+        expenses, trackDaily: true, dayBudget: yesterday
+      }, at(2026, 3, 10));
+      expect(result.dayBudget).toEqual({ date: '2026-03-10', paydate: '2026-03-19', allowance: 90, rollover: 0 });
+    });
+
+    it('still counts today\'s spending after the balance is retyped', () => {
+      const today = { date: '2026-03-10', paydate: '2026-03-19', allowance: 80, rollover: 0 };
+      const expenses = [{ id: 'a', amount: 30, category: 'food', createdAt: at(2026, 3, 10, 9).getTime() }];
+      const result = budget({
+        balance: '970', balanceSetAt: at(2026, 3, 10, 11).getTime(), paydate: '2026-03-19',
+        expenses, trackDaily: true, dayBudget: today
+      }, at(2026, 3, 10, 12));
+      expect(result.spent).toBe(0);
+      expect(result.spentToday).toBe(30);
+      expect(result.perDay).toBe(50);
+      expect(result.snapshot).toMatchObject({ balance: 970, spent: 30 });
+    });
+
+    it('keeps today\'s allowance once fixed', () => {
+      const today = { date: '2026-03-10', paydate: '2026-03-19', allowance: 80, rollover: 0 };
+      const expenses = [{ id: 'a', amount: 30, category: 'food', createdAt: at(2026, 3, 10, 11).getTime() }];
+      const result = budget({
+        balance: '1000', paydate: '2026-03-19', expenses, trackDaily: true, dayBudget: today
+      }, at(2026, 3, 10));
+      expect(result.dayBudget).toBe(today);
+      expect(result.perDay).toBe(50);
+    });
+  });
+});
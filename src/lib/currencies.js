@@ -0,0 +1,69 @@
+// Search, favorites and recents for the currency picker, and the currencies
+// pinned under today's budget. `currencies` is the [code, name] list the rate
+// provider returns.
+
+export const RECENT_LIMIT = 5;
+export const PINNED_LIMIT = 4;
+
+function normalize(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Lower is better: exact code, code prefix, a word of the name starting with
+// the query, then the query anywhere in code or name. null for no match.
+function matchRank(code, name, query) {
+  const c = code.toLowerCase();
+  const n = normalize(name);
+  if (c === query) return 0;
+  if (c.startsWith(query)) return 1;
+  if (n.split(/[\s(),-]+/).some(word => word.startsWith(query))) return 2;
+  if (c.includes(query) || n.includes(query)) return 3;
+  return null;
+}
+
+export function searchCurrencies(currencies, query) {
+  const q = normalize(query.trim());
+  if (!q) return currencies;
+  return currencies
+    .map(entry => ({ entry, rank: matchRank(entry[0], entry[1], q) }))
+    .filter(m => m.rank !== null)
+    .sort((a, b) => a.rank - b.rank || a.entry[0].localeCompare(b.entry[0]))
+    .map(m => m.entry);
+}
+
+// Groups shown in the picker. While searching there is one list of matches;
+// otherwise favorites and recents come first and are left out of "all".
+export function pickerSections(currencies, { query = '', favorites = [], recents = [] } = {}) {
+  if (query.trim()) {
+    return [{ id: 'results', items: searchCurrencies(currencies, query) }];
+  }
+  const byCode = new Map(currencies.map(entry => [entry[0], entry]));
+  const pick = codes => codes.filter(code => byCode.has(code)).map(code => byCode.get(code));
+  const favoriteItems = pick(favorites);
+  const recentItems = pick(recents.filter(code => !favorites.includes(code)));
+  const shown = new Set([...favoriteItems, ...recentItems].map(entry => entry[0]));
+  return [
+    { id: 'favorites', items: favoriteItems },
+    { id: 'recent', items: recentItems },
+    { id: 'all', items: currencies.filter(entry => !shown.has(entry[0])) }
+  ].filter(section => section.items.length > 0);
+}
+
+export function toggleFavorite(favorites, code) {
+  return favorites.includes(code) ? favorites.filter(c => c !== code) : [...favorites, code];
+}
+
+// Most recent first, without duplicates
+export function pushRecent(recents, code, limit = RECENT_LIMIT) {
+  return [code, ...recents.filter(c => c !== code)].slice(0, limit);
+}
+
+export function togglePinned(pinned, code, limit = PINNED_LIMIT) {
+  if (pinned.includes(code)) return pinned.filter(c => c !== code);
+  return pinned.length < limit ? [...pinned, code] : pinned;
+}
+
+// Making a pinned currency the main display one pins the one it replaces in its spot
+export function swapPinned(pinned, code, current) {
+  return pinned.map(c => c === code ? current : c).filter((c, i, all) => all.indexOf(c) === i);
+}
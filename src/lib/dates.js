@@ -0,0 +1,111 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local calendar date as YYYY-MM-DD (toISOString would shift it to UTC)
+export function toISODate(date) {
+  const yyyy = date.getFullYear();
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+export function parseISODate(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+export function addDays(date, n) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + n);
+}
+
+// Whole calendar days from a to b, unaffected by DST shifts
+export function daysBetween(a, b) {
+  const utcA = Date.UTC(a.getFullYear(), a.getMonth(), a.getDate());
+  const utcB = Date.UTC(b.getFullYear(), b.getMonth(), b.getDate());
+  return Math.round((utcB - utcA) / DAY_MS);
+}
+
+
+// How budget days are counted. timeZone is an IANA name or 'auto' for the
+// device's; a day runs from dayStartHour to dayStartHour the next morning.
+export const DEFAULT_CALENDAR = { timeZone: 'auto', dayStartHour: 0, paydayCounts: true };
+
+const zoneFormatters = new Map();
+
+function zoneFormatter(timeZone) {
+  const zone = timeZone && timeZone !== 'auto' ? timeZone : undefined;
+  if (!zoneFormatters.has(timeZone)) {
+    const options = {
+      hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    };
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', { ...options, timeZone: zone });
+    } catch {
+      // unknown zone name: fall back to the device's
+      formatter = new Intl.DateTimeFormat('en-US', options);
+    }
+    zoneFormatters.set(timeZone, formatter);
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+// Wall-clock { year, month, day, hour, minute, second } at `instant` in `timeZone`
+export function zonedParts(instant, timeZone) {
+  const parts = {};
+  for (const p of zoneFormatter(timeZone).formatToParts(instant)) {
+    if (p.type !== 'literal') parts[p.type] = Number(p.value);
+  }
+  return parts;
+}
+
+function zoneOffset(instant, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000;
+}
+
+function utcDay(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return Date.UTC(y, m - 1, d);
+}
+
+function isoFromUTC(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+export function addISODays(iso, n) {
+  return isoFromUTC(utcDay(iso) + n * DAY_MS);
+}
+
+// Whole days from one YYYY-MM-DD date to another; plain calendar arithmetic
+export function isoDaysBetween(a, b) {
+  return Math.round((utcDay(b) - utcDay(a)) / DAY_MS);
+}
+
+// The moment the clock in `timeZone` reads `hour`:00 on `iso`. When clocks go
+// forward past that hour it is the first moment after the gap.
+export function zonedTime(iso, hour, timeZone) {
+  const wall = utcDay(iso) + hour * 60 * 60 * 1000;
+  const guess = wall - zoneOffset(wall, timeZone);
+  return wall - zoneOffset(guess, timeZone);
+}
+
+// The budget day `instant` belongs to: its date in the calendar's zone, or the
+// date before while the clock is still short of dayStartHour
+export function budgetDay(instant, calendar = DEFAULT_CALENDAR) {
+  const p = zonedParts(instant, calendar.timeZone);
+  const date = Date.UTC(p.year, p.month - 1, p.day);
+  return isoFromUTC(p.hour < (calendar.dayStartHour || 0) ? date - DAY_MS : date);
+}
+
+export function budgetDayStart(iso, calendar = DEFAULT_CALENDAR) {
+  return zonedTime(iso, calendar.dayStartHour || 0, calendar.timeZone);
+}
+
+export function msUntilNextDay(now = new Date(), calendar = DEFAULT_CALENDAR) {
+  return budgetDayStart(addISODays(budgetDay(now, calendar), 1), calendar) - now;
+}
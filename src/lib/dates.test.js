@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { budgetDay, budgetDayStart, msUntilNextDay, isoDaysBetween, addISODays } from './dates';
+
+// Tests run in Europe/Berlin (see vite.config.js)
+const HOUR = 60 * 60 * 1000;
+
+describe('budgetDay', () => {
+  it('is the date in the calendar\'s time zone', () => {
+    const now = new Date('2026-06-30T23:30:00Z');
+    expect(budgetDay(now)).toBe('2026-07-01');
+    expect(budgetDay(now, { timeZone: 'UTC' })).toBe('2026-06-30');
+    expect(budgetDay(now, { timeZone: 'Asia/Tokyo' })).toBe('2026-07-01');
+    expect(budgetDay(now, { timeZone: 'America/Los_Angeles' })).toBe('2026-06-30');
+  });
+
+  it('falls back to the device zone for an unknown zone', () => {
+    expect(budgetDay(new Date(2026, 6, 1, 0, 30), { timeZone: 'Nowhere/Special' })).toBe('2026-07-01');
+  });
+
+  it('runs until the day start hour', () => {
+    const calendar = { timeZone: 'auto', dayStartHour: 4 };
+    expect(budgetDay(new Date(2026, 2, 1, 3, 59), calendar)).toBe('2026-02-28');
+    expect(budgetDay(new Date(2028, 2, 1, 3, 59), calendar)).toBe('2028-02-29');
+    expect(budgetDay(new Date(2026, 2, 1, 4, 0), calendar)).toBe('2026-03-01');
+  });
+});
+
+describe('budgetDayStart', () => {
+  it('is the start hour on the wall clock', () => {
+    expect(budgetDayStart('2026-03-10')).toBe(new Date(2026, 2, 10).getTime());
+    expect(budgetDayStart('2026-03-10', { dayStartHour: 4 })).toBe(new Date(2026, 2, 10, 4).getTime());
+    expect(budgetDayStart('2026-03-10', { timeZone: 'Asia/Tokyo', dayStartHour: 0 }))
+      .toBe(Date.parse('2026-03-09T15:00:00Z'));
+  });
+
+  it('moves past the hour skipped when clocks go forward', () => {
+    expect(budgetDayStart('2026-03-29', { dayStartHour: 2 })).toBe(Date.parse('2026-03-29T01:00:00Z'));
+  });
+});
+
+describe('msUntilNextDay', () => {
+  it('spans 23 and 25 hours on DST change days', () => {
+    expect(msUntilNextDay(new Date(2026, 2, 29))).toBe(23 * HOUR);
+    expect(msUntilNextDay(new Date(2026, 9, 25))).toBe(25 * HOUR);
+  });
+
+  it('waits for the day start hour', () => {
+    expect(msUntilNextDay(new Date(2026, 2, 10, 3), { dayStartHour: 4 })).toBe(HOUR);
+    expect(msUntilNextDay(new Date(2026, 2, 10, 5), { dayStartHour: 4 })).toBe(23 * HOUR);
+  });
+});
+
+describe('ISO date arithmetic', () => {
+  it('counts calendar days', () => {
+    expect(isoDaysBetween('2028-02-28', '2028-03-01')).toBe(2);
+    expect(isoDaysBetween('2026-12-31', '2027-01-01')).toBe(1);
+    expect(isoDaysBetween('2026-03-10', '2026-03-01')).toBe(-9);
+  });
+
+  it('adds days across month and year ends', () => {
+    expect(addISODays('2026-01-31', 1)).toBe('2026-02-01');
+    expect(addISODays('2028-02-28', 1)).toBe('2028-02-29');
+    expect(addISODays('2026-12-31', 1)).toBe('2027-01-01');
+    expect(addISODays('2026-03-01', -1)).toBe('2026-02-28');
+  });
+});
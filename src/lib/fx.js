@@ -1,93 +1,165 @@
-export async function listCurrencies() {
+import { getLocale } from './i18n';
+import { minorUnits, roundMoney } from './money';
+
+const JSON_HEADERS = { 'Accept': 'application/json' };
+
+// When offline the service worker answers from its API cache and flags the
+// response; `cachedAt` is then when that response was originally fetched.
+async function fetchJSON(url) {
+  const r = await fetch(url, { cache: 'no-store', headers: JSON_HEADERS });
+  if (!r.ok) throw new Error(`HTTP ${r.status}: ${r.statusText}`);
+  const json = await r.json();
+  const cachedAt = r.headers.get('X-DailySpend-Cache') ? Number(r.headers.get('X-Fetched-At')) || null : null;
+  return { json, cachedAt };
+}
+
+function currencyName(code) {
   try {
-    const r = await fetch('https://api.frankfurter.dev/v1/currencies');
-    if (!r.ok) throw new Error('Failed to fetch currencies');
-    const json = await r.json();
-    return Object.entries(json).sort(([a], [b]) => a.localeCompare(b));
+    return new Intl.DisplayNames(['en'], { type: 'currency' }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+// Each provider lists its currencies as { CODE: name } and fetches rates as
+// { base, rates: { CODE: value }, date }. `symbols` may be omitted for all.
+const frankfurter = {
+  id: 'frankfurter',
+  name: 'Frankfurter',
+  needsKey: false,
+  async listCurrencies() {
+    const { json } = await fetchJSON('https://api.frankfurter.dev/v1/currencies');
+    return json;
+  },
+  async fetchRates(base, symbols) {
+    const query = symbols ? `&symbols=${symbols.map(encodeURIComponent).join(',')}` : '';
+    const { json, cachedAt } = await fetchJSON(`https://api.frankfurter.dev/v1/latest?base=${encodeURIComponent(base)}${query}`);
+    if (!json.rates) throw new Error(`No rates for ${base}`);
+    return { base, rates: json.rates, date: json.date, cachedAt };
+  }
+};
+
+const exchangerateHost = {
+  id: 'exchangerate-host',
+  name: 'ExchangeRate.host',
+  needsKey: true,
+  async listCurrencies(apiKey) {
+    const { json } = await fetchJSON(`https://api.exchangerate.host/list?access_key=${encodeURIComponent(apiKey)}`);
+    if (json.error) throw new Error(json.error.info || json.error.type || 'API Error');
+    return json.currencies;
+  },
+  async fetchRates(base, symbols, apiKey) {
+    const query = symbols ? `&symbols=${symbols.map(encodeURIComponent).join(',')}` : '';
+    const { json, cachedAt } = await fetchJSON(`https://api.exchangerate.host/latest?base=${encodeURIComponent(base)}${query}&access_key=${encodeURIComponent(apiKey)}`);
+    if (json.error) throw new Error(json.error.info || json.error.type || 'API Error');
+    if (!json.rates) throw new Error(`No rates for ${base}`);
+    return { base, rates: json.rates, date: json.date, cachedAt };
+  }
+};
+
+const openErApi = {
+  id: 'open-er-api',
+  name: 'ExchangeRate-API Open Access',
+  needsKey: false,
+  async listCurrencies() {
+    const { json } = await fetchJSON('https://open.er-api.com/v6/latest/USD');
+    return Object.fromEntries(Object.keys(json.rates || {}).map(code => [code, currencyName(code)]));
+  },
+  async fetchRates(base, symbols) {
+    const { json, cachedAt } = await fetchJSON(`https://open.er-api.com/v6/latest/${encodeURIComponent(base)}`);
+    if (json.result !== 'success' || !json.rates) throw new Error(json['error-type'] || `No rates for ${base}`);
+    const rates = symbols
+      ? Object.fromEntries(symbols.filter(c => c in json.rates).map(c => [c, json.rates[c]]))
+      : json.rates;
+    const date = json.time_last_update_unix
+      ? new Date(json.time_last_update_unix * 1000).toISOString().slice(0, 10)
+      : undefined;
+    return { base, rates, date, cachedAt };
+  }
+};
+
+export const PROVIDERS = {
+  [frankfurter.id]: frankfurter,
+  [exchangerateHost.id]: exchangerateHost,
+  [openErApi.id]: openErApi
+};
+
+export const DEFAULT_PROVIDERS = ['frankfurter', 'open-er-api'];
+
+export function getProvider(id) {
+  return PROVIDERS[id] || null;
+}
+
+// Providers from the configured chain that can actually be called
+function usableChain(chain, apiKeys = {}) {
+  return (chain && chain.length ? chain : DEFAULT_PROVIDERS)
+    .map(getProvider)
+    .filter(p => p && (!p.needsKey || apiKeys[p.id]));
+}
+
+// Tries each provider in order and returns the first success, tagged with the provider id
+async function withFailover(chain, apiKeys, fn) {
+  const providers = usableChain(chain, apiKeys);
+  if (!providers.length) throw new Error('No usable exchange rate provider configured');
+  const failures = [];
+  for (const provider of providers) {
+    try {
+      return { provider: provider.id, result: await fn(provider, apiKeys[provider.id]) };
+    } catch (error) {
+      console.warn(`${provider.name} failed:`, error);
+      failures.push(`${provider.name}: ${error.message}`);
+    }
+  }
+  throw new Error(`All rate providers failed (${failures.join('; ')})`);
+}
+
+export async function listCurrencies({ chain, apiKeys = {} } = {}) {
+  try {
+    const { result } = await withFailover(chain, apiKeys, (p, key) => p.listCurrencies(key));
+    return Object.entries(result).sort(([a], [b]) => a.localeCompare(b));
   } catch(error) {
     console.error('Failed to fetch currencies from API:', error);
     throw error; // Don't use fallback - let the app handle caching
   }
 }
 
-export async function getRate(from, to, provider, apiKey) {
-  if (from === to) return { value: 1, provider, timestamp: Date.now() };
-  
-  try {
-    if (provider === 'frankfurter') {
-      const url = `https://api.frankfurter.dev/v1/latest?base=${encodeURIComponent(from)}&symbols=${encodeURIComponent(to)}`;
-      const r = await fetch(url, { 
-        cache: 'no-store',
-        headers: {
-          'Accept': 'application/json',
-        }
-      });
-      if (!r.ok) throw new Error(`HTTP ${r.status}: ${r.statusText}`);
-      const json = await r.json();
-      if (!json.rates || json.rates[to] === undefined) {
-        throw new Error(`Rate not found for ${from} to ${to}`);
-      }
-      return { 
-        value: Number(json.rates[to]), 
-        provider, 
-        timestamp: Date.now(),
-        date: json.date 
-      };
-    }
-    
-    if (provider === 'exchangerate-host') {
-      if (!apiKey) throw new Error('API key required for exchangerate.host');
-      const url = `https://api.exchangerate.host/latest?base=${encodeURIComponent(from)}&symbols=${encodeURIComponent(to)}&access_key=${encodeURIComponent(apiKey)}`;
-      const r = await fetch(url, { 
-        cache: 'no-store',
-        headers: {
-          'Accept': 'application/json',
-        }
-      });
-      if (!r.ok) throw new Error(`HTTP ${r.status}: ${r.statusText}`);
-      const json = await r.json();
-      
-      if (json.error) {
-        throw new Error(json.error.info || json.error.type || 'API Error');
-      }
-      
-      const val = (json.rates && json.rates[to]) || json.result || json[to];
-      if (val === undefined || val === null) {
-        throw new Error(`Rate not found for ${from} to ${to}`);
-      }
-      return { 
-        value: Number(val), 
-        provider, 
-        timestamp: Date.now(),
-        date: json.date 
-      };
-    }
-    
-    throw new Error(`Unknown provider: ${provider}`);
-  } catch (error) {
-    console.error('Rate fetch failed:', error);
-    throw error;
+// One request for every rate the provider has against `base`, for the rate table
+export async function fetchRateTable(base, { chain, apiKeys = {} } = {}) {
+  const { provider, result } = await withFailover(chain, apiKeys, (p, key) => p.fetchRates(base, null, key));
+  const rates = {};
+  for (const [code, value] of Object.entries(result.rates)) {
+    if (Number(value) > 0) rates[code] = Number(value);
   }
+  return {
+    base,
+    rates,
+    date: result.date,
+    fetchedAt: result.cachedAt || Date.now(),
+    provider,
+    offline: Boolean(result.cachedAt)
+  };
 }
 
+// Whole amounts are shown without decimals; anything else with as many as the
+// currency has (none for JPY, three for KWD)
 export function formatMoney(value, code) {
+  const digits = minorUnits(code);
   if (value === null || value === undefined || isNaN(value)) {
-    return `0.00 ${code}`;
+    return `${(0).toFixed(digits)} ${code}`;
   }
+  const rounded = roundMoney(value, code);
   
   try {
-    // Get user's locale for better formatting
-    const locale = navigator.language || 'en-US';
-    return new Intl.NumberFormat(locale, { 
+    return new Intl.NumberFormat(getLocale(), { 
       style: 'currency', 
       currency: code,
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 2
-    }).format(value);
+      minimumFractionDigits: Number.isInteger(rounded) ? 0 : digits,
+      maximumFractionDigits: digits
+    }).format(rounded);
   } catch(error) {
     console.warn(`Currency formatting failed for ${code}:`, error);
     // More robust fallback
-    const formatted = Number(value).toFixed(2);
+    const formatted = rounded.toFixed(digits);
     return `${formatted} ${code}`;
   }
-}
\ No newline at end of file
+}
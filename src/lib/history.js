@@ -0,0 +1,40 @@
+const MAX_DAYS = 400;
+
+// Inserts or updates the snapshot for snap.date. Returns the same array when
+// nothing changed so callers can skip a state update.
+export function recordSnapshot(history, snap) {
+  const list = Array.isArray(history) ? history : [];
+  const i = list.findIndex(h => h.date === snap.date);
+  if (i >= 0) {
+    const prev = list[i];
+    if (Object.keys(snap).every(k => prev[k] === snap[k])) return list;
+    const next = [...list];
+    next[i] = { ...prev, ...snap };
+    return next;
+  }
+  const next = [...list, snap].sort((a, b) => a.date.localeCompare(b.date));
+  return next.length > MAX_DAYS ? next.slice(next.length - MAX_DAYS) : next;
+}
+
+// Groups snapshots into pay periods (by the payday they counted down to), newest first
+export function groupByPeriod(history) {
+  const periods = new Map();
+  for (const h of history || []) {
+    if (!periods.has(h.paydate)) periods.set(h.paydate, []);
+    periods.get(h.paydate).push(h);
+  }
+  return [...periods.entries()]
+    .map(([paydate, entries]) => ({ paydate, entries }))
+    .sort((a, b) => b.paydate.localeCompare(a.paydate));
+}
+
+export function summarizePeriod(entries) {
+  const spent = entries.reduce((sum, h) => sum + (h.spent || 0), 0);
+  const overDays = entries.filter(h => h.spent > h.allowance).length;
+  return {
+    spent,
+    avgSpent: entries.length ? spent / entries.length : 0,
+    overDays,
+    days: entries.length
+  };
+}
@@ -0,0 +1,135 @@
+import en from '../locales/en';
+import de from '../locales/de';
+import fr from '../locales/fr';
+
+const CATALOGS = { en, de, fr };
+
+// 'auto' follows the browser. Language names are shown in their own language.
+export const LANGUAGES = [
+  ['auto', null],
+  ['en', 'English'],
+  ['de', 'Deutsch'],
+  ['fr', 'Français']
+];
+
+let locale = 'en';
+let catalog = en;
+let plurals = new Intl.PluralRules('en');
+
+function systemLocale() {
+  return (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+}
+
+// The chosen language also decides how numbers and dates are written and read
+export function setLanguage(language) {
+  const next = !language || language === 'auto' ? systemLocale() : language;
+  if (next === locale) return;
+  try {
+    plurals = new Intl.PluralRules(next);
+    locale = next;
+  } catch {
+    locale = 'en';
+    plurals = new Intl.PluralRules('en');
+  }
+  catalog = CATALOGS[locale.split('-')[0].toLowerCase()] || en;
+}
+
+export function getLocale() {
+  return locale;
+}
+
+setLanguage('auto');
+
+function lookup(key) {
+  return catalog[key] ?? en[key];
+}
+
+// Looks up a message and fills in {placeholders}. With a numeric `count` the
+// plural form is picked from `key_one`, `key_other`, … for the current locale.
+export function t(key, params = {}) {
+  let message;
+  if (typeof params.count === 'number') {
+    message = lookup(`${key}_${plurals.select(params.count)}`) ?? lookup(`${key}_other`);
+  }
+  message = message ?? lookup(key) ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+export function formatNumber(value, options) {
+  return new Intl.NumberFormat(locale, options).format(value);
+}
+
+export function formatDate(date, options) {
+  return date.toLocaleDateString(locale, options);
+}
+
+export function formatTime(date, options) {
+  return date.toLocaleTimeString(locale, options);
+}
+
+// Decimal and grouping characters of the current locale, e.g. ',' and '.' for German
+export function separators() {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  const find = type => (parts.find(p => p.type === type) || {}).value;
+  return { decimal: find('decimal') || '.', group: find('group') || '' };
+}
+
+// Which character of `text` marks the decimals. The other of '.' and ','
+// counts too unless the locale groups with it; then only when it appears once
+// and the digits after it can't be a group of three ("12,5" in English, "12.5"
+// in German). "1,234" means a thousand and more, and so does "1," on the way
+// to it.
+function decimalMark(text, { decimal, group }, decimals) {
+  if (text.includes(decimal)) return decimal;
+  const other = decimal === '.' ? ',' : '.';
+  if (other !== group) return other;
+  const parts = text.split(group);
+  return decimals > 0 && parts.length === 2 && /^(\d{1,2}|\d{4,})$/.test(parts[1]) ? group : decimal;
+}
+
+// Turns what was typed in the current locale ("1.234,5" in German) into the
+// plain form kept in state ("1234.5"). A trailing separator is kept so the
+// user can go on typing decimals.
+export function toPlainAmount(text, decimals = 2) {
+  const decimal = decimalMark(String(text), separators(), decimals);
+  let plain = '';
+  let seenDecimal = false;
+  let fraction = 0;
+  for (const ch of String(text)) {
+    if (ch >= '0' && ch <= '9') {
+      if (seenDecimal && fraction >= decimals) continue;
+      if (seenDecimal) fraction++;
+      plain += ch;
+    } else if (ch === decimal && !seenDecimal) {
+      // without decimals the fraction is dropped rather than run into the whole part
+      seenDecimal = true;
+      if (decimals > 0) plain += '.';
+    }
+    // grouping characters, spaces and anything else are dropped
+  }
+  return plain;
+}
+
+// One edit of an amount input: the plain value, and the text to go on showing.
+// What was typed stays as it is, since a separator may only make sense once
+// the next digits are there ("1.2" on the way to "1.234"); it's rewritten
+// from the plain form only when something had to be dropped.
+export function editAmount(text, decimals = 2) {
+  const plain = toPlainAmount(text, decimals);
+  const kept = /^[\d\s.,]*$/.test(text) && text.replace(/\D/g, '') === plain.replace(/\D/g, '');
+  return { plain, text: kept ? text : toInputAmount(plain) };
+}
+
+// The plain form written with the locale's decimal separator, for editing
+export function toInputAmount(plain) {
+  if (plain === null || plain === undefined) return '';
+  return String(plain).replace('.', separators().decimal);
+}
+
+// The plain form with grouping, for display in an input that isn't being edited
+export function formatAmount(plain, decimals = 2) {
+  if (plain === null || plain === undefined || plain === '') return '';
+  const n = Number(plain);
+  if (!Number.isFinite(n)) return '';
+  return formatNumber(n, { maximumFractionDigits: decimals });
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect, afterAll } from 'vitest';
+import { setLanguage, toPlainAmount, editAmount } from './i18n';
+
+describe('toPlainAmount', () => {
+  afterAll(() => setLanguage('en'));
+
+  it('reads English amounts, a lone comma as decimals', () => {
+    setLanguage('en');
+    expect(toPlainAmount('1,234.5')).toBe('1234.5');
+    expect(toPlainAmount('12.5')).toBe('12.5');
+    expect(toPlainAmount('12,5')).toBe('12.5');
+    expect(toPlainAmount('12,')).toBe('12');
+    expect(toPlainAmount('1,234')).toBe('1234');
+    expect(toPlainAmount('1,234,567')).toBe('1234567');
+  });
+
+  it('reads German amounts, a lone point as decimals', () => {
+    setLanguage('de');
+    expect(toPlainAmount('1.234,5')).toBe('1234.5');
+    expect(toPlainAmount('12,5')).toBe('12.5');
+    expect(toPlainAmount('12.5')).toBe('12.5');
+    expect(toPlainAmount('1.234')).toBe('1234');
+  });
+
+  it('reads French amounts with either decimal mark', () => {
+    setLanguage('fr');
+    expect(toPlainAmount('1 234,5')).toBe('1234.5');
+    expect(toPlainAmount('12,5')).toBe('12.5');
+    expect(toPlainAmount('12.5')).toBe('12.5');
+    expect(toPlainAmount('0.123456', 6)).toBe('0.123456');
+  });
+
+  it('stops at the currency\'s decimals', () => {
+    setLanguage('en');
+    expect(toPlainAmount('12.345')).toBe('12.34');
+    expect(toPlainAmount('12.5', 0)).toBe('12');
+  });
+});
+
+// Types `keys` one at a time the way AmountInput does, each edit starting
+// from the text the previous one left showing
+function type(keys, decimals = 2) {
+  let shown = '';
+  let plain = '';
+  for (const key of keys) ({ plain, text: shown } = editAmount(shown + key, decimals));
+  return { plain, shown };
+}
+
+describe('editAmount', () => {
+  afterAll(() => setLanguage('en'));
+
+  it('keeps thousands typed key by key', () => {
+    setLanguage('de');
+    expect(type('1.234,56')).toEqual({ plain: '1234.56', shown: '1.234,56' });
+    expect(type('12.5')).toEqual({ plain: '12.5', shown: '12.5' });
+    setLanguage('en');
+    expect(type('1,234.56')).toEqual({ plain: '1234.56', shown: '1,234.56' });
+    expect(type('12,5')).toEqual({ plain: '12.5', shown: '12,5' });
+  });
+
+  it('groups in currencies without decimals', () => {
+    setLanguage('de');
+    expect(type('1.234', 0)).toEqual({ plain: '1234', shown: '1.234' });
+  });
+
+  it('rewrites the text when something is dropped', () => {
+    setLanguage('en');
+    expect(type('12.345')).toEqual({ plain: '12.34', shown: '12.34' });
+    expect(type('12a')).toEqual({ plain: '12', shown: '12' });
+  });
+});
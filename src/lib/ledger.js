@@ -0,0 +1,56 @@
+import { t } from './i18n';
+import { roundMoney, sumMoney } from './money';
+
+// Labels are in the locale catalogs under category.<id>
+export const CATEGORIES = ['food', 'groceries', 'transport', 'shopping', 'fun', 'health', 'bills', 'other'];
+
+export function makeId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Accepts the formatted strings used by the inputs ("1,234.5") as well as numbers.
+// With a currency code the result is rounded to that currency's minor unit.
+export function parseAmount(value, code) {
+  if (value === null || value === undefined || value === '') return 0;
+  const n = Number(String(value).replace(/,/g, ''));
+  if (!Number.isFinite(n)) return 0;
+  return code ? roundMoney(n, code) : n;
+}
+
+export function createExpense({ amount, note = '', category = 'other' }) {
+  return {
+    id: makeId(),
+    amount: parseAmount(amount),
+    note: note.trim(),
+    category,
+    createdAt: Date.now()
+  };
+}
+
+export function updateExpense(expense, changes) {
+  const next = { ...expense, ...changes };
+  if ('amount' in changes) next.amount = parseAmount(changes.amount);
+  if ('note' in changes) next.note = String(changes.note).trim();
+  return next;
+}
+
+// Expenses logged before the balance was last entered are already reflected in it
+export function countedExpenses(expenses, since) {
+  if (!Array.isArray(expenses)) return [];
+  if (!since) return expenses;
+  return expenses.filter(e => e.createdAt >= since);
+}
+
+export function totalSpent(expenses, code) {
+  return sumMoney(expenses.map(e => Number(e.amount) || 0), code);
+}
+
+// Imported expenses may carry categories of their own; those are shown as-is
+export function categoryLabel(id) {
+  return CATEGORIES.includes(id) ? t(`category.${id}`) : id;
+}
+
+export function spentBetween(expenses, from, to, code) {
+  return totalSpent(expenses.filter(e => e.createdAt >= from && e.createdAt < to), code);
+}
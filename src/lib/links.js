@@ -0,0 +1,86 @@
+// Links that open the app on a what-if scenario (see lib/scenarios) or
+// straight on one view, e.g.
+//
+//   /dailyspend/?balance=1200&currency=EUR&payday=2026-07-31&to=USD
+//   /dailyspend/?expense=300&to=USD&rate=1.12
+//   /dailyspend/#view=history
+//
+// Parameters are read from the query and the hash alike, the query winning,
+// since some chat apps drop one or the other when a link is shared. Anything
+// that doesn't parse is ignored rather than guessed at.
+
+import { parseISODate, toISODate } from './dates';
+
+export const LINK_VIEWS = ['expense', 'history', 'settings'];
+const LINK_PARAMS = ['balance', 'currency', 'expense', 'payday', 'to', 'rate', 'view'];
+
+function linkParams(url) {
+  const params = new URLSearchParams(url.hash.slice(1));
+  for (const [key, value] of url.searchParams) params.set(key, value);
+  return params;
+}
+
+function amountParam(value) {
+  const amount = (value || '').trim();
+  return /^\d+(\.\d+)?$/.test(amount) && Number(amount) > 0 ? amount : null;
+}
+
+function currencyParam(value) {
+  const code = (value || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+// { scenario: null | { balance, currency, expense, paydate, targetCurrency, rate }, view: null | one of LINK_VIEWS }
+export function parseLink(href) {
+  const params = linkParams(new URL(href));
+  const scenario = {};
+
+  const balance = (params.get('balance') || '').trim();
+  if (/^-?\d+(\.\d+)?$/.test(balance)) {
+    scenario.balance = balance;
+    const currency = currencyParam(params.get('currency'));
+    if (currency) scenario.currency = currency;
+  }
+  const expense = amountParam(params.get('expense'));
+  if (expense) scenario.expense = expense;
+  const payday = (params.get('payday') || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(payday) && toISODate(parseISODate(payday)) === payday) {
+    scenario.paydate = payday;
+  }
+  const to = currencyParam(params.get('to'));
+  if (to) scenario.targetCurrency = to;
+  const rate = amountParam(params.get('rate'));
+  if (rate) scenario.rate = rate;
+
+  const view = params.get('view');
+  return {
+    scenario: Object.keys(scenario).length ? scenario : null,
+    view: LINK_VIEWS.includes(view) ? view : null
+  };
+}
+
+// The link to share for a scenario, on top of the app's own address
+export function scenarioLink(href, scenario) {
+  const url = new URL(stripLink(href));
+  if (scenario.balance) {
+    url.searchParams.set('balance', scenario.balance);
+    if (scenario.currency) url.searchParams.set('currency', scenario.currency);
+  }
+  if (scenario.expense) url.searchParams.set('expense', scenario.expense);
+  if (scenario.paydate) url.searchParams.set('payday', scenario.paydate);
+  if (scenario.targetCurrency) url.searchParams.set('to', scenario.targetCurrency);
+  if (scenario.rate) url.searchParams.set('rate', scenario.rate);
+  return url.href;
+}
+
+// The address without link parameters (`only` limits which ones go)
+export function stripLink(href, only = LINK_PARAMS) {
+  const url = new URL(href);
+  for (const key of only) url.searchParams.delete(key);
+  const hash = new URLSearchParams(url.hash.slice(1));
+  if (only.some(key => hash.has(key))) {
+    for (const key of only) hash.delete(key);
+    url.hash = hash.toString();
+  }
+  return url.href;
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { parseLink, scenarioLink, stripLink } from './links';
+
+const APP = 'https://example.com/dailyspend/';
+
+describe('parseLink', () => {
+  it('reads a scenario from the query', () => {
+    expect(parseLink(`${APP}?balance=1200.50&currency=usd&payday=2026-07-31&to=JPY`)).toEqual({
+      scenario: { balance: '1200.50', currency: 'USD', paydate: '2026-07-31', targetCurrency: 'JPY' },
+      view: null
+    });
+  });
+
+  it('reads the hash as well, the query winning', () => {
+    expect(parseLink(`${APP}?balance=300#balance=100&payday=2026-08-01&view=history`)).toEqual({
+      scenario: { balance: '300', paydate: '2026-08-01' },
+      view: 'history'
+    });
+  });
+
+  it('ignores what does not parse', () => {
+    expect(parseLink(`${APP}?balance=1,200&currency=EUR&payday=2026-02-30&to=EURO&view=admin`)).toEqual({
+      scenario: null,
+      view: null
+    });
+  });
+
+  it('takes only positive extra expenses and rates', () => {
+    expect(parseLink(`${APP}?expense=0&rate=-1`).scenario).toBeNull();
+    expect(parseLink(`${APP}?expense=40&rate=0.9`).scenario).toEqual({ expense: '40', rate: '0.9' });
+  });
+
+  it('needs a balance for its currency', () => {
+    expect(parseLink(`${APP}?currency=GBP&payday=2026-07-31`).scenario).toEqual({ paydate: '2026-07-31' });
+  });
+});
+
+describe('scenarioLink', () => {
+  it('round-trips through parseLink', () => {
+    const scenario = {
+      balance: '950', currency: 'CHF', expense: '120.5', paydate: '2026-09-30', targetCurrency: 'EUR', rate: '1.04'
+    };
+    expect(parseLink(scenarioLink(`${APP}?view=settings`, scenario))).toEqual({ scenario, view: null });
+  });
+});
+
+describe('stripLink', () => {
+  it('removes link parameters and keeps the rest', () => {
+    expect(stripLink(`${APP}?balance=1&utm_source=chat#view=expense`)).toBe(`${APP}?utm_source=chat`);
+    expect(stripLink(`${APP}?balance=1&view=expense`, ['view'])).toBe(`${APP}?balance=1`);
+    expect(stripLink(`${APP}#top`)).toBe(`${APP}#top`);
+  });
+});
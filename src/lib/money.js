@@ -0,0 +1,62 @@
+// Amounts are kept in state as numbers of the currency's major unit (12.34 EUR),
+// but sums and splits are done in integer minor units (1234 cents) so repeated
+// adding and dividing doesn't drift, and results land on amounts the currency
+// can actually express: whole yen, cents, or thousandths of a dinar.
+
+// ISO 4217 exponents that differ from 2, for engines without currency data in Intl
+const MINOR_UNITS = {
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0
+};
+
+const digitsCache = new Map();
+
+// Number of decimals the currency is written with: 0 for JPY, 2 for EUR, 3 for KWD
+export function minorUnits(code) {
+  if (!code) return 2;
+  if (digitsCache.has(code)) return digitsCache.get(code);
+  let digits = MINOR_UNITS[code] ?? 2;
+  try {
+    digits = new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    // unknown to Intl: keep the table's answer
+  }
+  digitsCache.set(code, digits);
+  return digits;
+}
+
+// Moves the decimal point by writing the exponent, which avoids the binary
+// error of multiplying (0.29 * 100 is 28.999…)
+function shift(value, digits) {
+  const shifted = Number(`${value}e${digits}`);
+  return Number.isNaN(shifted) ? value * 10 ** digits : shifted;
+}
+
+// 12.345 EUR → 1235 (cents), rounding half away from zero
+export function toMinor(amount, code) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return 0;
+  const minor = Math.round(shift(Math.abs(n), minorUnits(code)));
+  return n < 0 && minor !== 0 ? -minor : minor;
+}
+
+export function fromMinor(minor, code) {
+  return minor / 10 ** minorUnits(code);
+}
+
+export function roundMoney(amount, code) {
+  return fromMinor(toMinor(amount, code), code);
+}
+
+// Rounds down to the minor unit, for allowances that must not promise more than there is
+export function floorMoney(amount, code) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return 0;
+  return fromMinor(Math.floor(shift(n, minorUnits(code))), code);
+}
+
+// Adds amounts (negative ones subtract) in minor units
+export function sumMoney(amounts, code) {
+  return fromMinor(amounts.reduce((sum, amount) => sum + toMinor(amount, code), 0), code);
+}
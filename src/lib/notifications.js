@@ -0,0 +1,125 @@
+import { formatMoney } from './fx';
+import { floorMoney } from './money';
+import { DEFAULT_CALENDAR, budgetDay, isoDaysBetween, zonedTime } from './dates';
+import { loadMeta, saveMeta } from './storage';
+import { t } from './i18n';
+
+export const DEFAULT_NOTIFICATIONS = {
+  enabled: false,
+  morningAt: '08:00', // '' turns the morning reminder off
+  overspend: true,
+  paydayDays: 3 // 0 turns the payday heads-up off
+};
+
+export const NOTIFICATION_TAG = 'dailyspend-notification';
+const MORNING_WINDOW = 6 * 60 * 60 * 1000; // a missed reminder is dropped after this
+
+export function notificationsSupported() {
+  return typeof Notification !== 'undefined';
+}
+
+// Resolves to true once the user has allowed notifications
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return false;
+  if (Notification.permission === 'granted') return true;
+  if (Notification.permission === 'denied') return false;
+  return (await Notification.requestPermission()) === 'granted';
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + (m || 0);
+}
+
+// When the current budget day's morning reminder is due, on the calendar's
+// wall clock, or null when it is turned off
+export function morningTime(config, now = new Date(), calendar = DEFAULT_CALENDAR) {
+  if (!config.morningAt) return null;
+  return new Date(zonedTime(budgetDay(now, calendar), minutesOf(config.morningAt) / 60, calendar.timeZone));
+}
+
+// The notifications due at `now` for the last budget snapshot the app wrote
+// ({ date, paydate, currency, balance, allowance, spent }). `sent` records the
+// day (or payday) each kind last went out, so nothing is shown twice. Days are
+// budget days of `calendar`, as in lib/budget.
+export function dueNotifications(config, digest, sent = {}, now = new Date(), calendar = DEFAULT_CALENDAR) {
+  if (!config || !config.enabled || !digest) return [];
+  const today = budgetDay(now, calendar);
+  const daysToPayday = isoDaysBetween(today, digest.paydate);
+  if (daysToPayday < 0) return [];
+  const spendingDays = daysToPayday + (calendar.paydayCounts === false ? 0 : 1);
+  const money = value => formatMoney(value, digest.currency);
+  const due = [];
+
+  const morning = morningTime(config, now, calendar);
+  if (morning && spendingDays > 0 && now >= morning && now - morning < MORNING_WINDOW && sent.morning !== today) {
+    // A snapshot from an earlier day still holds the balance left at its end
+    const allowance = digest.date === today
+      ? digest.allowance
+      : floorMoney(digest.balance / spendingDays, digest.currency);
+    due.push({
+      kind: 'morning',
+      key: today,
+      title: t('notify.morningTitle', { amount: money(allowance) }),
+      body: t('notify.morningBody', { count: spendingDays })
+    });
+  }
+
+  if (config.overspend && digest.date === today && digest.spent > digest.allowance && sent.overspend !== today) {
+    due.push({
+      kind: 'overspend',
+      key: today,
+      title: t('notify.overspendTitle'),
+      body: t('notify.overspendBody', { spent: money(digest.spent), allowance: money(digest.allowance) })
+    });
+  }
+
+  if (config.paydayDays > 0 && daysToPayday > 0 && daysToPayday <= config.paydayDays && sent.payday !== digest.paydate) {
+    due.push({
+      kind: 'payday',
+      key: digest.paydate,
+      title: t('notify.paydayTitle', { count: daysToPayday }),
+      body: t('notify.paydayBody', { amount: money(digest.balance) })
+    });
+  }
+
+  return due;
+}
+
+export function markSent(sent, notifications) {
+  const next = { ...sent };
+  notifications.forEach(n => { next[n.kind] = n.key; });
+  return next;
+}
+
+export function notificationOptions(notification, icon) {
+  return { body: notification.body, icon, badge: icon, tag: `${NOTIFICATION_TAG}-${notification.kind}` };
+}
+
+// Shown through the service worker where there is one (mobile browsers
+// refuse `new Notification` in pages)
+export async function showNotification(notification, icon) {
+  const options = notificationOptions(notification, icon);
+  if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+    const registration = await navigator.serviceWorker.ready;
+    return registration.showNotification(notification.title, options);
+  }
+  new Notification(notification.title, options);
+}
+
+// Stores the latest snapshot for the service worker's background checks and
+// shows whatever is due now. The sent log lives in meta so the page and the
+// worker never both show the same reminder.
+export async function deliverNotifications(config, digest, icon, language, calendar) {
+  await saveMeta('notify', { config, digest, language, calendar });
+  if (!notificationsSupported() || Notification.permission !== 'granted') return;
+  const sent = (await loadMeta('notified')) || {};
+  const due = dueNotifications(config, digest, sent, new Date(), calendar);
+  if (!due.length) return;
+  await saveMeta('notified', markSent(sent, due));
+  try {
+    await Promise.all(due.map(n => showNotification(n, icon)));
+  } catch (error) {
+    console.warn('Failed to show notification:', error);
+  }
+}
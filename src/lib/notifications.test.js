@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { morningTime } from './notifications';
+
+// Tests run in Europe/Berlin (see vite.config.js)
+describe('morningTime', () => {
+  const config = { morningAt: '08:30' };
+
+  it('is on the wall clock of the calendar\'s zone', () => {
+    const now = new Date('2026-07-10T10:00:00Z');
+    expect(morningTime(config, now).toISOString()).toBe('2026-07-10T06:30:00.000Z');
+    expect(morningTime(config, now, { timeZone: 'America/New_York' }).toISOString()).toBe('2026-07-10T12:30:00.000Z');
+  });
+
+  it('belongs to the budget day, not the date on the clock', () => {
+    // 01:00 on the 11th is still the 10th with a 4am day start
+    const now = new Date(2026, 6, 11, 1);
+    expect(morningTime(config, now, { timeZone: 'auto', dayStartHour: 4 })).toEqual(new Date(2026, 6, 10, 8, 30));
+  });
+
+  it('is off without a time', () => {
+    expect(morningTime({ morningAt: '' })).toBe(null);
+  });
+});
@@ -0,0 +1,74 @@
+import { DEFAULT_CALENDAR, toISODate, parseISODate, addDays, daysBetween, startOfDay, budgetDay } from './dates';
+
+export const SCHEDULE_TYPES = ['manual', 'monthly', 'last-business-day', 'biweekly', 'four-weekly'];
+
+export const DEFAULT_SCHEDULE = {
+  type: 'manual',
+  dayOfMonth: 15,
+  anchor: '', // a known past or upcoming payday for the weekly cycles
+  holidays: []
+};
+
+const PERIOD_DAYS = { biweekly: 14, 'four-weekly': 28 };
+
+export function isBusinessDay(date, holidays = []) {
+  const dow = date.getDay();
+  if (dow === 0 || dow === 6) return false;
+  return !holidays.includes(toISODate(date));
+}
+
+// Paydays that land on a weekend or holiday are paid on the business day before
+export function previousBusinessDay(date, holidays = []) {
+  let d = startOfDay(date);
+  while (!isBusinessDay(d, holidays)) d = addDays(d, -1);
+  return d;
+}
+
+function daysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
+function monthlyCandidate(schedule, year, month) {
+  if (schedule.type === 'last-business-day') {
+    return new Date(year, month, daysInMonth(year, month));
+  }
+  const day = Math.min(Math.max(1, Number(schedule.dayOfMonth) || 1), daysInMonth(year, month));
+  return new Date(year, month, day);
+}
+
+// Next payday as YYYY-MM-DD, or null for manual/incomplete schedules. That is
+// today's (in the calendar's zone and day start) or a later one, but only a
+// later one when payday isn't a spending day, so there is always one left.
+export function nextPayday(schedule, from = new Date(), calendar = DEFAULT_CALENDAR) {
+  if (!schedule || schedule.type === 'manual') return null;
+  const today = addDays(parseISODate(budgetDay(from, calendar)), calendar.paydayCounts === false ? 1 : 0);
+  const holidays = schedule.holidays || [];
+
+  if (schedule.type === 'monthly' || schedule.type === 'last-business-day') {
+    for (let i = 0; i < 3; i++) {
+      const candidate = monthlyCandidate(schedule, today.getFullYear(), today.getMonth() + i);
+      const adjusted = previousBusinessDay(candidate, holidays);
+      if (adjusted >= today) return toISODate(adjusted);
+    }
+    return null;
+  }
+
+  const period = PERIOD_DAYS[schedule.type];
+  if (period && /^\d{4}-\d{2}-\d{2}$/.test(schedule.anchor || '')) {
+    const anchor = parseISODate(schedule.anchor);
+    // Adjustment only ever moves a payday earlier, so at most one extra step is needed
+    let k = Math.ceil(daysBetween(anchor, today) / period);
+    for (let i = 0; i < 2; i++, k++) {
+      const adjusted = previousBusinessDay(addDays(anchor, k * period), holidays);
+      if (adjusted >= today) return toISODate(adjusted);
+    }
+  }
+  return null;
+}
+
+export function parseHolidays(text) {
+  return text
+    .split(/[\s,;]+/)
+    .filter(s => /^\d{4}-\d{2}-\d{2}$/.test(s))
+    .sort();
+}
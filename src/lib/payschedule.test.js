@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { nextPayday } from './payschedule';
+
+// Tests run in Europe/Berlin (see vite.config.js)
+const monthly = { type: 'monthly', dayOfMonth: 15, anchor: '', holidays: [] };
+const biweekly = { type: 'biweekly', dayOfMonth: 1, anchor: '2026-06-05', holidays: [] };
+
+describe('nextPayday', () => {
+  it('is today on payday itself', () => {
+    expect(nextPayday(monthly, new Date(2026, 6, 15, 18))).toBe('2026-07-15');
+    expect(nextPayday(biweekly, new Date(2026, 6, 17, 18))).toBe('2026-07-17');
+  });
+
+  it('moves on past today when payday is not spent', () => {
+    const calendar = { timeZone: 'auto', dayStartHour: 0, paydayCounts: false };
+    expect(nextPayday(monthly, new Date(2026, 6, 15, 18), calendar)).toBe('2026-08-14');
+    expect(nextPayday(monthly, new Date(2026, 6, 14, 18), calendar)).toBe('2026-07-15');
+    expect(nextPayday(biweekly, new Date(2026, 6, 17, 18), calendar)).toBe('2026-07-31');
+  });
+
+  it('decides today in the calendar\'s zone and day start', () => {
+    // 00:30 on the 16th in Berlin is still the 15th in New York, and before a 4am day start
+    const now = new Date(2026, 6, 16, 0, 30);
+    expect(nextPayday(monthly, now)).toBe('2026-08-14');
+    expect(nextPayday(monthly, now, { timeZone: 'America/New_York', paydayCounts: true })).toBe('2026-07-15');
+    expect(nextPayday(monthly, now, { timeZone: 'auto', dayStartHour: 4 })).toBe('2026-07-15');
+  });
+});
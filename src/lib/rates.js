@@ -0,0 +1,96 @@
+// Persistent exchange-rate table: one bulk fetch per base currency, with any
+// other pair derived through a base that quotes both currencies.
+//
+// table = { [base]: { base, rates: { CODE: value }, date, fetchedAt, provider } }
+//
+// A rate typed in by hand gets an entry of its own, keyed 'manual:FROM:TO',
+// so the fetched quotes for that base keep their age and source.
+
+import { t } from './i18n';
+
+export const STALE_AFTER = 24 * 60 * 60 * 1000;
+export const REFRESH_AFTER = 60 * 60 * 1000;
+const MAX_BASES = 8;
+
+export function storeRates(table, entry) {
+  // An offline answer from the service worker cache may be older than what we hold
+  const { key = entry.base, ...stored } = entry;
+  const current = table && table[key];
+  if (current && current.fetchedAt > stored.fetchedAt) return table;
+  const next = { ...(table || {}), [key]: stored };
+  const bases = Object.keys(next);
+  if (bases.length <= MAX_BASES) return next;
+  // Forget the bases that were fetched longest ago
+  bases
+    .sort((a, b) => next[a].fetchedAt - next[b].fetchedAt)
+    .slice(0, bases.length - MAX_BASES)
+    .forEach(base => delete next[base]);
+  return next;
+}
+
+// Stored as just fetched, so it wins over the table's own quote for the pair
+// until a newer fetch of `from` replaces it
+export function storeManualRate(table, from, to, value, now = Date.now()) {
+  const entry = { base: from, rates: { [to]: Number(value) }, date: null, fetchedAt: now, provider: 'manual' };
+  return storeRates(table, { ...entry, key: `manual:${from}:${to}` });
+}
+
+export function needsRefresh(table, base, now = Date.now()) {
+  const entry = table && table[base];
+  return !entry || now - entry.fetchedAt > REFRESH_AFTER;
+}
+
+// Value of 1 unit of `code` in the entry's base, treating the base itself as 1
+function quote(entry, code) {
+  if (code === entry.base) return 1;
+  const v = entry.rates[code];
+  return typeof v === 'number' && v > 0 ? v : null;
+}
+
+function outranks(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] > b[i];
+  }
+  return false;
+}
+
+// Converts between any two currencies the table knows about. Returns
+// { value, date, fetchedAt, provider, stale, derived, via } or null.
+export function convertRate(table, from, to, now = Date.now()) {
+  if (from === to) return { value: 1, stale: false, derived: false };
+  if (!table) return null;
+
+  let best = null;
+  for (const entry of Object.values(table)) {
+    const qFrom = quote(entry, from);
+    const qTo = quote(entry, to);
+    if (qFrom === null || qTo === null) continue;
+    const direct = entry.base === from || entry.base === to;
+    const fresh = now - entry.fetchedAt <= STALE_AFTER;
+    // Prefer fresh rates, then direct quotes over cross rates, then the newest
+    const rank = [fresh ? 1 : 0, direct ? 1 : 0, entry.fetchedAt];
+    if (best && !outranks(rank, best.rank)) continue;
+    best = { entry, value: qTo / qFrom, direct, rank };
+  }
+  if (!best) return null;
+
+  const { entry, value, direct } = best;
+  return {
+    value,
+    date: entry.date,
+    fetchedAt: entry.fetchedAt,
+    provider: entry.provider,
+    stale: now - entry.fetchedAt > STALE_AFTER,
+    offline: Boolean(entry.offline),
+    derived: !direct,
+    via: direct ? null : entry.base
+  };
+}
+
+export function formatAge(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return t('age.minutes', { count: Math.max(1, minutes) });
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return t('age.hours', { count: hours });
+  return t('age.days', { count: Math.round(hours / 24) });
+}
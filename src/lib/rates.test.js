@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { STALE_AFTER, REFRESH_AFTER, storeRates, storeManualRate, needsRefresh, convertRate } from './rates';
+
+const NOW = Date.UTC(2026, 2, 10, 12);
+const HOUR = 60 * 60 * 1000;
+
+function entry(base, rates, age = 0, fields = {}) {
+  return { base, rates, date: '2026-03-10', fetchedAt: NOW - age, provider: 'frankfurter', ...fields };
+}
+
+describe('convertRate', () => {
+  const table = {
+    EUR: entry('EUR', { USD: 1.1, GBP: 0.85, JPY: 160 }),
+    USD: entry('USD', { CHF: 0.9 }, 2 * HOUR)
+  };
+
+  it('is 1 between a currency and itself, even without a table', () => {
+    expect(convertRate(null, 'EUR', 'EUR')).toEqual({ value: 1, stale: false, derived: false });
+  });
+
+  it('reads direct quotes both ways', () => {
+    expect(convertRate(table, 'EUR', 'USD', NOW)).toMatchObject({ value: 1.1, derived: false, via: null, stale: false });
+    expect(convertRate(table, 'GBP', 'EUR', NOW).value).toBeCloseTo(1 / 0.85);
+  });
+
+  it('derives a cross rate through a base quoting both', () => {
+    const rate = convertRate(table, 'GBP', 'JPY', NOW);
+    expect(rate.value).toBeCloseTo(160 / 0.85);
+    expect(rate).toMatchObject({ derived: true, via: 'EUR', provider: 'frankfurter' });
+  });
+
+  it('is null when no base quotes both', () => {
+    expect(convertRate(table, 'GBP', 'CHF', NOW)).toBeNull();
+    expect(convertRate({}, 'EUR', 'USD', NOW)).toBeNull();
+  });
+
+  it('prefers a fresh quote to a stale one, then a direct one to a derived one', () => {
+    const stale = { ...table, USD: entry('USD', { EUR: 0.8 }, STALE_AFTER + HOUR) };
+    expect(convertRate(stale, 'USD', 'EUR', NOW).value).toBeCloseTo(1 / 1.1);
+
+    const cross = {
+      EUR: entry('EUR', { USD: 1.1 }, 3 * HOUR),
+      GBP: entry('GBP', { EUR: 1.2, USD: 1.5 })
+    };
+    expect(convertRate(cross, 'EUR', 'USD', NOW)).toMatchObject({ value: 1.1, derived: false });
+  });
+
+  it('takes the newest of equally ranked quotes', () => {
+    const both = { EUR: entry('EUR', { USD: 1.1 }, 2 * HOUR), USD: entry('USD', { EUR: 0.8 }, HOUR) };
+    expect(convertRate(both, 'EUR', 'USD', NOW).value).toBeCloseTo(1.25);
+  });
+
+  it('flags stale and offline quotes', () => {
+    const old = { EUR: entry('EUR', { USD: 1.1 }, STALE_AFTER + 1, { offline: true }) };
+    expect(convertRate(old, 'EUR', 'USD', NOW)).toMatchObject({ stale: true, offline: true });
+  });
+});
+
+describe('storeRates', () => {
+  it('keeps a newer entry over an older offline answer', () => {
+    const table = { EUR: entry('EUR', { USD: 1.1 }) };
+    expect(storeRates(table, entry('EUR', { USD: 1 }, HOUR))).toBe(table);
+    expect(storeRates(table, entry('EUR', { USD: 1.2 }, -HOUR)).EUR.rates.USD).toBe(1.2);
+  });
+
+  it('forgets the bases fetched longest ago', () => {
+    let table = {};
+    for (const [i, base] of ['AUD', 'CAD', 'CHF', 'EUR', 'GBP', 'JPY', 'NZD', 'SEK', 'USD'].entries()) {
+      table = storeRates(table, entry(base, {}, (10 - i) * HOUR));
+    }
+    expect(Object.keys(table)).toHaveLength(8);
+    expect(table.AUD).toBeUndefined();
+  });
+});
+
+describe('storeManualRate', () => {
+  const table = { EUR: entry('EUR', { USD: 1.1, GBP: 0.85 }, 5 * HOUR) };
+
+  it('wins for its pair and leaves the fetched quotes alone', () => {
+    const next = storeManualRate(table, 'EUR', 'USD', '1.2', NOW);
+    expect(next.EUR).toBe(table.EUR);
+    expect(convertRate(next, 'EUR', 'USD', NOW)).toMatchObject({ value: 1.2, provider: 'manual' });
+    expect(convertRate(next, 'EUR', 'GBP', NOW)).toMatchObject({ value: 0.85, provider: 'frankfurter', fetchedAt: NOW - 5 * HOUR });
+    expect(needsRefresh(next, 'EUR', NOW)).toBe(true);
+  });
+
+  it('gives way to a newer fetch', () => {
+    const next = storeRates(storeManualRate(table, 'EUR', 'USD', '1.2', NOW), entry('EUR', { USD: 1.05 }, -HOUR));
+    expect(convertRate(next, 'EUR', 'USD', NOW).value).toBe(1.05);
+  });
+});
+
+describe('needsRefresh', () => {
+  it('refreshes missing bases and ones older than an hour', () => {
+    const table = { EUR: entry('EUR', {}, REFRESH_AFTER - 1), USD: entry('USD', {}, REFRESH_AFTER + 1) };
+    expect(needsRefresh(table, 'EUR', NOW)).toBe(false);
+    expect(needsRefresh(table, 'USD', NOW)).toBe(true);
+    expect(needsRefresh(table, 'GBP', NOW)).toBe(true);
+  });
+});
@@ -0,0 +1,34 @@
+import { parseAmount } from './ledger';
+import { roundMoney } from './money';
+
+export const SAVINGS_MODES = ['off', 'amount', 'percent'];
+
+export const DEFAULT_SAVINGS = { mode: 'off', amount: '', percent: 10, name: '' };
+
+// What to hold back this pay period. A percentage is taken of the balance as
+// entered (all accounts, before any spending) so it doesn't shrink as you spend.
+export function savingsTarget(savings, startingBalance, code) {
+  if (!savings || savings.mode === 'off') return 0;
+  if (savings.mode === 'percent') {
+    const percent = Math.min(100, Math.max(0, Number(savings.percent) || 0));
+    return roundMoney(Math.max(0, startingBalance) * percent / 100, code);
+  }
+  return Math.max(0, parseAmount(savings.amount, code));
+}
+
+// Projects what will be left by payday if spending carries on at the average
+// daily rate so far. `balance` still includes the target; `spent` was logged
+// over `elapsedDays` (today included).
+export function savingsProgress({ target, balance, spent, spentToday, elapsedDays, daysLeft }) {
+  const pace = elapsedDays > 0 ? spent / elapsedDays : 0;
+  // today's share of the pace may already be partly spent
+  const toCome = Math.max(pace * (daysLeft - 1), pace * daysLeft - spentToday);
+  const projected = Math.max(0, balance - toCome);
+  return {
+    target,
+    pace,
+    projected,
+    onTrack: projected >= target,
+    progress: target > 0 ? Math.min(1, projected / target) : 1
+  };
+}
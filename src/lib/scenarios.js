@@ -0,0 +1,92 @@
+// What-if scenarios: a few inputs swapped into the live budget input (see
+// lib/budget) without touching the saved state.
+//
+// scenario = {
+//   id, name,         for the ones kept in the sandbox
+//   balance,          money on hand, as plain text ("1200.50"); replaces the
+//                     main balance and the other accounts
+//   currency,         currency of that balance (only used together with it)
+//   expense,          an extra one-off expense before payday, in that currency
+//   paydate,          YYYY-MM-DD
+//   targetCurrency,   show the result in this currency as well
+//   rate              what 1 unit of the currency is worth in the target one
+// }
+//
+// Every field is optional; whatever is left out or empty comes from the live input.
+
+import { makeId, parseAmount } from './ledger';
+import { DEFAULT_CALENDAR, budgetDay } from './dates';
+import { createBill } from './bills';
+import { storeManualRate } from './rates';
+import { t } from './i18n';
+
+export const SCENARIO_FIELDS = ['balance', 'currency', 'expense', 'paydate', 'targetCurrency', 'rate'];
+export const MAX_SCENARIOS = 3;
+
+export function createScenario(fields = {}) {
+  const scenario = { id: makeId(), name: (fields.name || '').trim() };
+  for (const key of SCENARIO_FIELDS) {
+    if (fields[key]) scenario[key] = fields[key];
+  }
+  return scenario;
+}
+
+function extraBill(scenario, currency, calendar, now) {
+  return createBill({
+    name: t('scenario.extraExpense'),
+    amount: scenario.expense,
+    dueDate: budgetDay(now, calendar),
+    currency
+  });
+}
+
+export function applyScenario(input, scenario, now = new Date()) {
+  const out = { ...input, trackDaily: false, dayBudget: null };
+  if (scenario.balance) {
+    out.balance = scenario.balance;
+    out.accounts = [];
+    // spending logged so far is already part of the balance given
+    out.balanceSetAt = now.getTime();
+    if (scenario.currency) out.currency = scenario.currency;
+  }
+  if (parseAmount(scenario.expense) > 0) {
+    const calendar = { ...DEFAULT_CALENDAR, ...input.calendar };
+    out.bills = [...(input.bills || []), { ...extraBill(scenario, out.currency, calendar, now), id: 'scenario' }];
+  }
+  if (scenario.paydate) out.paydate = scenario.paydate;
+  if (scenario.targetCurrency) out.targetCurrency = scenario.targetCurrency;
+  if (Number(scenario.rate) > 0 && out.targetCurrency && out.targetCurrency !== out.currency) {
+    out.rateTable = storeManualRate(input.rateTable, out.currency, out.targetCurrency, scenario.rate, now.getTime());
+  }
+  return out;
+}
+
+// The app state with a scenario made real: the balance is typed in (other
+// accounts drop to zero, as the scenario balance covers them), the payday
+// is fixed by hand, the extra expense becomes a bill and the rate is used
+// until the next fetch replaces it.
+export function promoteScenario(state, scenario, now = new Date()) {
+  const next = { ...state, dayBudget: null };
+  if (scenario.balance) {
+    next.balance = scenario.balance;
+    next.balanceSetAt = now.getTime();
+    next.accounts = state.accounts.map(account => ({ ...account, balance: '0' }));
+    if (scenario.currency) next.srcCurrency = scenario.currency;
+  }
+  if (parseAmount(scenario.expense) > 0) {
+    const calendar = { ...DEFAULT_CALENDAR, ...state.calendar };
+    next.bills = [...state.bills, extraBill(scenario, next.srcCurrency, calendar, now)];
+  }
+  if (scenario.paydate) {
+    next.paydate = scenario.paydate;
+    next.paySchedule = { ...state.paySchedule, type: 'manual' };
+  }
+  if (scenario.targetCurrency) {
+    next.useConversion = true;
+    next.dstCurrency = scenario.targetCurrency;
+  }
+  if (Number(scenario.rate) > 0 && next.useConversion && next.dstCurrency !== next.srcCurrency) {
+    next.rateTable = storeManualRate(state.rateTable, next.srcCurrency, next.dstCurrency, scenario.rate, now.getTime());
+  }
+  return next;
+}
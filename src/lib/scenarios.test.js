@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { applyScenario, promoteScenario } from './scenarios';
+import { computeBudget } from './budget';
+
+describe('applyScenario', () => {
+  const input = {
+    balance: '2000', accounts: [{ id: 'a', balance: '50', currency: 'USD' }], currency: 'EUR',
+    targetCurrency: null, paydate: '2026-07-31', balanceSetAt: 1, trackDaily: true, dayBudget: { date: '2026-07-01' }
+  };
+  const now = new Date(2026, 6, 10);
+
+  it('replaces the balance and accounts and starts counting spending now', () => {
+    expect(applyScenario(input, { balance: '500', currency: 'GBP' }, now)).toEqual({
+      ...input, balance: '500', accounts: [], currency: 'GBP', balanceSetAt: now.getTime(),
+      trackDaily: false, dayBudget: null
+    });
+  });
+
+  it('keeps the live balance when only the dates or display change', () => {
+    const out = applyScenario(input, { paydate: '2026-08-15', targetCurrency: 'USD' }, now);
+    expect(out).toMatchObject({ balance: '2000', accounts: input.accounts, paydate: '2026-08-15', targetCurrency: 'USD' });
+  });
+});
+
+describe('applyScenario with an extra expense and a rate', () => {
+  const now = new Date(2026, 6, 10, 12);
+  const input = {
+    balance: '3100', currency: 'EUR', targetCurrency: 'USD', paydate: '2026-07-29', bills: [],
+    rateTable: { EUR: { base: 'EUR', rates: { USD: 1.1, GBP: 0.85 }, fetchedAt: now.getTime() - 1000 } }
+  };
+
+  it('reserves the expense before payday', () => {
+    const result = computeBudget(applyScenario(input, { expense: '100' }, now), now);
+    expect(result.reserved).toBe(100);
+    expect(result.reservations[0].dates).toEqual(['2026-07-10']);
+    expect(result.perDay).toBe(165); // 3000 EUR over 20 days, at 1.1
+  });
+
+  it('converts at the rate given and keeps the other quotes', () => {
+    const out = applyScenario(input, { rate: '1.2' }, now);
+    expect(out.rateTable.EUR).toBe(input.rateTable.EUR);
+    expect(out.rateTable['manual:EUR:USD']).toMatchObject({ base: 'EUR', rates: { USD: 1.2 }, provider: 'manual' });
+    expect(computeBudget(out, now).perDay).toBe(186); // 3100 EUR over 20 days, at 1.2
+  });
+
+  it('ignores a rate without a currency to convert to', () => {
+    expect(applyScenario({ ...input, targetCurrency: null }, { rate: '1.2' }, now).rateTable).toBe(input.rateTable);
+  });
+});
+
+describe('promoteScenario', () => {
+  const now = new Date(2026, 6, 10, 12);
+  const state = {
+    balance: '900', balanceSetAt: 1, srcCurrency: 'EUR', dstCurrency: 'USD', useConversion: false,
+    accounts: [{ id: 'a', name: 'Cash', balance: '50', currency: 'EUR' }], bills: [],
+    paydate: '2026-07-15', paySchedule: { type: 'monthly', dayOfMonth: 15 }, rateTable: {},
+    calendar: { timeZone: 'auto' }, dayBudget: { date: '2026-07-10' }
+  };
+
+  it('types in the balance and fixes the payday by hand', () => {
+    const next = promoteScenario(state, { balance: '1500', paydate: '2026-07-31' }, now);
+    expect(next).toMatchObject({
+      balance: '1500', balanceSetAt: now.getTime(), paydate: '2026-07-31', dayBudget: null,
+      paySchedule: { type: 'manual', dayOfMonth: 15 }
+    });
+    expect(next.accounts).toEqual([{ ...state.accounts[0], balance: '0' }]);
+  });
+
+  it('keeps the extra expense as a bill and switches conversion on', () => {
+    const next = promoteScenario(state, { expense: '80', targetCurrency: 'GBP', rate: '0.8' }, now);
+    expect(next.bills).toEqual([expect.objectContaining({ amount: 80, dueDate: '2026-07-10', currency: 'EUR' })]);
+    expect(next).toMatchObject({ useConversion: true, dstCurrency: 'GBP', balance: '900', accounts: state.accounts });
+    expect(next.rateTable['manual:EUR:GBP']).toMatchObject({ rates: { GBP: 0.8 }, provider: 'manual' });
+  });
+});
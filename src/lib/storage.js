@@ -1,70 +1,328 @@
-const KEY = 'dailyspend:v2'; // Updated version for new features
+const LEGACY_KEY = 'dailyspend:v2'; // localStorage blob used before IndexedDB
+const DB_NAME = 'dailyspend';
+const STATE_KEY = 'app';
 
-export function loadState() {
-  try {
-    const raw = localStorage.getItem(KEY);
-    if (!raw) return {};
-    
-    const parsed = JSON.parse(raw);
-    
-    // Migration logic for older versions
-    if (parsed.version !== 'v2') {
-      // If it's an older version, preserve the data but update structure
-      const migrated = {
-        ...parsed,
-        version: 'v2',
-        cachedCurrencies: parsed.cachedCurrencies || null,
-        useConversion: parsed.useConversion || false
+// IndexedDB object store layout. Entry i upgrades the database from version i
+// to i + 1; append new steps, never edit old ones.
+const DB_UPGRADES = [
+  (db) => {
+    db.createObjectStore('state');
+    db.createObjectStore('meta');
+  },
+  (db) => {
+    // rate table entries written by the service worker's background refresh
+    db.createObjectStore('rates');
+  }
+];
+
+// Ordered migrations of the persisted state itself. Each step takes the state
+// as written by schema version `to - 1` and returns it in the shape of `to`.
+const MIGRATIONS = [
+  {
+    to: 2, // first localStorage layout with currency caching
+    up: (s) => ({
+      ...s,
+      cachedCurrencies: s.cachedCurrencies || null,
+      useConversion: s.useConversion || false
+    })
+  },
+  {
+    to: 3, // moved to IndexedDB, version tracked as a number
+    up: (s) => {
+      const out = { ...s };
+      delete out.version;
+      delete out.lastSaved;
+      for (const key of ['expenses', 'bills', 'accounts', 'history']) {
+        if (!Array.isArray(out[key])) out[key] = [];
+      }
+      return out;
+    }
+  },
+  {
+    to: 4, // provider registry: ordered failover chain and a key per provider
+    up: (s) => {
+      const out = { ...s };
+      // unversioned data may already have the registry; only derive what's missing
+      if (!Array.isArray(out.providers)) {
+        const primary = out.provider || 'frankfurter';
+        out.providers = [primary, ...['frankfurter', 'open-er-api'].filter(id => id !== primary)];
+      }
+      if (!out.apiKeys || typeof out.apiKeys !== 'object') {
+        out.apiKeys = out.apiKey ? { 'exchangerate-host': out.apiKey } : {};
+      }
+      delete out.provider;
+      delete out.apiKey;
+      return out;
+    }
+  },
+  {
+    to: 5, // single cached pair and per-bill pairs replaced by the rate table
+    up: (s) => {
+      const out = { ...s };
+      const last = out.lastRate;
+      out.rateTable = {};
+      if (last && last.from && last.to && last.value > 0) {
+        out.rateTable[last.from] = {
+          base: last.from,
+          rates: { [last.to]: last.value },
+          date: last.date,
+          fetchedAt: last.timestamp,
+          provider: last.provider
+        };
+      }
+      delete out.lastRate;
+      delete out.pairRates;
+      return out;
+    }
+  },
+  {
+    to: 6, // amounts stored plain ("1234.5"); how they're written depends on the locale
+    up: (s) => {
+      const plain = v => (typeof v === 'string' ? v.replace(/,/g, '') : v);
+      const out = { ...s };
+      if ('balance' in out) out.balance = plain(out.balance);
+      if (Array.isArray(out.accounts)) out.accounts = out.accounts.map(a => ({ ...a, balance: plain(a.balance) }));
+      if (out.savings) out.savings = { ...out.savings, amount: plain(out.savings.amount) };
+      return out;
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].to;
+
+let db = null;
+let stale = false; // a newer version of the app took the database over
+let cache = {};
+let writing = null;
+let queued = null;
+
+function legacyVersion(parsed) {
+  if (typeof parsed.schemaVersion === 'number') return parsed.schemaVersion;
+  return parsed.version === 'v2' ? 2 : 1;
+}
+
+export function migrate(data) {
+  let version = legacyVersion(data);
+  let out = data;
+  for (const step of MIGRATIONS) {
+    if (step.to <= version) continue;
+    out = step.up(out);
+    version = step.to;
+  }
+  return { ...out, schemaVersion: version };
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// An upgrade waits for every other connection to close. Ours close as soon as
+// one is asked for (`onVersionChange` runs after that); while another tab
+// still holds the database, `onBlocked` runs and the upgrade keeps waiting.
+export function openDB({ onBlocked = () => {}, onVersionChange = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_UPGRADES.length);
+    req.onupgradeneeded = (event) => {
+      for (let v = event.oldVersion; v < DB_UPGRADES.length; v++) {
+        DB_UPGRADES[v](req.result, req.transaction);
+      }
+    };
+    req.onsuccess = () => {
+      const connection = req.result;
+      connection.onversionchange = () => {
+        connection.close();
+        onVersionChange();
       };
-      saveState(migrated);
-      return migrated;
+      resolve(connection);
+    };
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => onBlocked();
+  });
+}
+
+export async function dbGet(store, key) {
+  const tx = db.transaction(store, 'readonly');
+  return request(tx.objectStore(store).get(key));
+}
+
+export async function dbPut(store, key, value) {
+  const tx = db.transaction(store, 'readwrite');
+  tx.objectStore(store).put(value, key);
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function dbGetAll(store) {
+  const tx = db.transaction(store, 'readonly');
+  const os = tx.objectStore(store);
+  const [keys, values] = await Promise.all([request(os.getAllKeys()), request(os.getAll())]);
+  return keys.map((key, i) => [key, values[i]]);
+}
+
+// Small records shared with the service worker (e.g. which rates to refresh)
+export async function saveMeta(key, value) {
+  if (!db) return;
+  try {
+    await dbPut('meta', key, value);
+  } catch (error) {
+    console.warn(`Failed to save ${key}:`, error);
+  }
+}
+
+export async function loadMeta(key) {
+  if (!db) return undefined;
+  try {
+    return await dbGet('meta', key);
+  } catch (error) {
+    console.warn(`Failed to read ${key}:`, error);
+    return undefined;
+  }
+}
+
+// Rates the service worker fetched in the background, as { [base]: entry }
+export async function loadBackgroundRates() {
+  if (!db) return {};
+  try {
+    return Object.fromEntries(await dbGetAll('rates'));
+  } catch (error) {
+    console.warn('Failed to read background rates:', error);
+    return {};
+  }
+}
+
+// Takes background-fetched entries that are newer than what the state holds
+export function mergeRates(table, incoming) {
+  let next = table || {};
+  for (const [base, entry] of Object.entries(incoming || {})) {
+    if (!next[base] || next[base].fetchedAt < entry.fetchedAt) {
+      next = { ...next, [base]: entry };
     }
-    
-    return parsed;
-  } catch (error) { 
-    console.warn('Failed to load state from localStorage:', error);
-    return {}; 
   }
+  return next;
 }
 
-export function saveState(obj) {
+function readLegacy() {
   try {
-    const dataToSave = {
-      ...obj,
-      version: 'v2',
-      lastSaved: Date.now()
-    };
-    localStorage.setItem(KEY, JSON.stringify(dataToSave));
+    const raw = localStorage.getItem(LEGACY_KEY);
+    return raw ? JSON.parse(raw) : null;
   } catch (error) {
-    console.warn('Storage failed:', error);
-    // Try to clear some space if quota exceeded
-    if (error.name === 'QuotaExceededError') {
-      try {
-        // Clear old cache entries but keep essential data
-        const essential = {
-          balance: obj.balance,
-          srcCurrency: obj.srcCurrency,
-          dstCurrency: obj.dstCurrency,
-          paydate: obj.paydate,
-          useConversion: obj.useConversion,
-          provider: obj.provider,
-          apiKey: obj.apiKey,
-          version: 'v2'
-        };
-        localStorage.setItem(KEY, JSON.stringify(essential));
-      } catch (retryError) {
-        console.error('Failed to save even essential data:', retryError);
+    console.warn('Failed to read legacy state from localStorage:', error);
+    return null;
+  }
+}
+
+// Opens the database, importing the old localStorage blob the first time, and
+// loads the state into memory so loadState() can stay synchronous. Resolves to
+// 'ready', 'local' (no IndexedDB, working from localStorage) or 'stale' (a
+// newer version of the app owns the database; this page must not touch it).
+// `onStale` also runs when that happens later, with the app already open.
+export async function initStorage({ onBlocked, onStale = () => {} } = {}) {
+  try {
+    db = await openDB({
+      onBlocked,
+      onVersionChange: () => {
+        db = null;
+        stale = true;
+        onStale();
+      }
+    });
+    let stored = await dbGet('state', STATE_KEY);
+    if (!stored) {
+      const legacy = readLegacy();
+      if (legacy) {
+        stored = migrate(legacy);
+        await dbPut('state', STATE_KEY, stored);
+        await dbPut('meta', 'importedFromLocalStorage', Date.now());
+        localStorage.removeItem(LEGACY_KEY);
       }
+    } else if (stored.schemaVersion !== SCHEMA_VERSION) {
+      stored = migrate(stored);
+      await dbPut('state', STATE_KEY, stored);
+    }
+    cache = stored || {};
+    const background = await loadBackgroundRates();
+    if (Object.keys(background).length) {
+      cache = { ...cache, rateTable: mergeRates(cache.rateTable, background) };
+    }
+    return 'ready';
+  } catch (error) {
+    if (error && error.name === 'VersionError') {
+      db = null;
+      stale = true;
+      return 'stale';
+    }
+    // Private browsing modes can refuse IndexedDB; keep working from localStorage
+    console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+    db = null;
+    const legacy = readLegacy();
+    cache = legacy ? migrate(legacy) : {};
+    return 'local';
+  }
+}
+
+export function loadState() {
+  return cache;
+}
+
+// Drops the oldest half of the history so a full disk doesn't lose settings
+function trimForQuota(obj) {
+  const history = Array.isArray(obj.history) ? obj.history : [];
+  return { ...obj, history: history.slice(Math.floor(history.length / 2)) };
+}
+
+async function write(obj) {
+  // localStorage would only hide these writes from the newer version
+  if (stale) return;
+  const data = { ...obj, schemaVersion: SCHEMA_VERSION, lastSaved: Date.now() };
+  try {
+    if (db) await dbPut('state', STATE_KEY, data);
+    else localStorage.setItem(LEGACY_KEY, JSON.stringify(data));
+  } catch (error) {
+    console.warn('Storage failed:', error);
+    if (error && error.name === 'QuotaExceededError' && data.history && data.history.length > 1) {
+      return write(trimForQuota(obj));
     }
   }
 }
 
-export function clearState() {
+// Writes are serialized and coalesced: while one is in flight only the most
+// recent state is kept for the next write.
+export function saveState(obj) {
+  cache = obj;
+  if (writing) {
+    queued = obj;
+    return writing;
+  }
+  writing = write(obj).then(() => {
+    writing = null;
+    if (queued) {
+      const next = queued;
+      queued = null;
+      return saveState(next);
+    }
+  });
+  return writing;
+}
+
+export async function clearState() {
   try {
-    localStorage.removeItem(KEY);
+    cache = {};
+    queued = null;
+    localStorage.removeItem(LEGACY_KEY);
+    if (db) {
+      db.close();
+      db = null;
+    }
+    await request(indexedDB.deleteDatabase(DB_NAME));
     return true;
   } catch (error) {
     console.warn('Failed to clear state:', error);
     return false;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { migrate, SCHEMA_VERSION } from './storage';
+
+describe('migrate', () => {
+  it('brings a v2 localStorage blob up to the current schema', () => {
+    const legacy = {
+      version: 'v2',
+      lastSaved: 1700000000000,
+      balance: '1,234.50',
+      srcCurrency: 'EUR',
+      cachedCurrencies: [['EUR', 'Euro']],
+      provider: 'open-er-api',
+      apiKey: 'secret',
+      lastRate: { from: 'EUR', to: 'USD', value: 1.1, date: '2024-01-02', timestamp: 1700000000000, provider: 'open-er-api' },
+      pairRates: { 'EUR:USD': 1.1 },
+      accounts: [{ id: 'a', name: 'Cash', balance: '2,000', currency: 'EUR' }],
+      savings: { amount: '10,000.5' },
+      expenses: 'broken'
+    };
+    expect(SCHEMA_VERSION).toBe(6);
+    expect(migrate(legacy)).toEqual({
+      schemaVersion: 6,
+      balance: '1234.50',
+      srcCurrency: 'EUR',
+      cachedCurrencies: [['EUR', 'Euro']],
+      providers: ['open-er-api', 'frankfurter'],
+      apiKeys: { 'exchangerate-host': 'secret' },
+      rateTable: {
+        EUR: { base: 'EUR', rates: { USD: 1.1 }, date: '2024-01-02', fetchedAt: 1700000000000, provider: 'open-er-api' }
+      },
+      accounts: [{ id: 'a', name: 'Cash', balance: '2000', currency: 'EUR' }],
+      savings: { amount: '10000.5' },
+      expenses: [],
+      bills: [],
+      history: []
+    });
+  });
+
+  it('starts an unversioned blob at the first layout', () => {
+    const out = migrate({ balance: '50' });
+    expect(out).toMatchObject({ cachedCurrencies: null, useConversion: false, providers: ['frankfurter', 'open-er-api'], rateTable: {} });
+  });
+
+  it('leaves current data alone', () => {
+    const current = { schemaVersion: SCHEMA_VERSION, balance: '1,5', providers: ['frankfurter'] };
+    expect(migrate(current)).toEqual(current);
+  });
+});
@@ -0,0 +1,49 @@
+import { addDays, toISODate } from './dates';
+import { toMinor, fromMinor } from './money';
+
+export const WEIGHTING_MODES = ['even', 'weekend', 'custom'];
+
+// weights are indexed like Date#getDay(): Sunday first
+export const DEFAULT_WEIGHTING = { mode: 'even', weekendFactor: 1.5, weights: [1, 1, 1, 1, 1, 1, 1] };
+
+// Date#getDay() numbers listed Monday first for display
+export const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+export function dayWeight(weighting, date) {
+  if (!weighting || weighting.mode === 'even') return 1;
+  const dow = date.getDay();
+  if (weighting.mode === 'weekend') {
+    return dow === 0 || dow === 6 ? Math.max(0, Number(weighting.weekendFactor) || 0) : 1;
+  }
+  const weight = Number(weighting.weights && weighting.weights[dow]);
+  return weight >= 0 ? weight : 1;
+}
+
+// Splits `amount` over `days` calendar days starting at `from` in proportion
+// to each day's weight. Falls back to an even split if every weight is zero.
+// Shares are whole minor units of `code` and add up to `amount` exactly: what
+// doesn't divide evenly goes to the last days, so today never rounds up.
+export function allocate(amount, weighting, from, days, code) {
+  const dates = Array.from({ length: days }, (_, i) => addDays(from, i));
+  let weights = dates.map(d => dayWeight(weighting, d));
+  let total = weights.reduce((sum, w) => sum + w, 0);
+  if (total <= 0) {
+    weights = weights.map(() => 1);
+    total = days;
+  }
+  const minor = toMinor(amount, code);
+  const shares = weights.map(w => Math.floor(minor * w / total));
+  // flooring loses less than one unit per weighted day, so one pass places the rest
+  let rest = minor - shares.reduce((sum, share) => sum + share, 0);
+  for (let i = days - 1; rest > 0 && i >= 0; i--) {
+    if (weights[i] > 0) {
+      shares[i]++;
+      rest--;
+    }
+  }
+  return dates.map((date, i) => ({
+    date: toISODate(date),
+    weight: weights[i],
+    amount: fromMinor(shares[i], code)
+  }));
+}
@@ -0,0 +1,307 @@
+// German UI strings. Missing keys fall back to en.js.
+export default {
+  'app.offline': 'Offline',
+  'app.openHistory': 'Verlauf öffnen',
+  'app.openSettings': 'Einstellungen öffnen',
+  'app.updateAvailable': 'Update verfügbar',
+  'app.reload': 'Neu laden',
+  'app.dismissUpdate': 'Update-Hinweis schließen',
+  'app.install': 'App installieren',
+  'app.installHint': 'Auf dem iPhone: Teilen → „Zum Home-Bildschirm“',
+  'app.selectCurrency': 'Währung wählen',
+
+  'storage.blocked': 'DailySpend aktualisiert seine Daten. Schließe DailySpend in deinen anderen Tabs, um fortzufahren.',
+  'storage.stale': 'In einem anderen Tab ist eine neuere Version von DailySpend geöffnet. Lade diese Seite neu, um sie zu verwenden.',
+
+  'picker.search': 'Nach Code oder Name suchen',
+  'picker.favorites': 'Favoriten',
+  'picker.recent': 'Zuletzt verwendet',
+  'picker.all': 'Alle Währungen',
+  'picker.results': 'Treffer',
+  'picker.noMatches': 'Keine Währung passt zu deiner Suche.',
+  'picker.favorite': '{code} zu Favoriten hinzufügen',
+  'picker.unfavorite': '{code} aus Favoriten entfernen',
+
+  'result.placeholder': 'Gib Kontostand und Zahltag ein, um loszulegen',
+  'result.overToday': 'Über dem heutigen Budget',
+  'result.remainingToday': 'Heute noch übrig',
+  'result.allowanceSpent': '{allowance} Budget • {spent} heute ausgegeben',
+  'result.rolloverUnspent': '{amount} nicht ausgegeben, auf die restlichen Tage verteilt',
+  'result.rolloverOverspent': '{amount} zu viel ausgegeben, auf die restlichen Tage verteilt',
+  'result.budget.daily': 'Tagesbudget',
+  'result.budget.dailyAfterBills': 'Tagesbudget nach Rechnungen',
+  'result.budget.dailyAfterSavings': 'Tagesbudget nach Sparziel',
+  'result.budget.dailyAfterBillsAndSavings': 'Tagesbudget nach Rechnungen und Sparziel',
+  'result.budget.today': 'Budget für heute',
+  'result.budget.todayAfterBills': 'Budget für heute nach Rechnungen',
+  'result.budget.todayAfterSavings': 'Budget für heute nach Sparziel',
+  'result.budget.todayAfterBillsAndSavings': 'Budget für heute nach Rechnungen und Sparziel',
+  'result.daysLeft_one': 'Noch {count} Tag bis zum Zahltag',
+  'result.daysLeft_other': 'Noch {count} Tage bis zum Zahltag',
+  'result.spent': '{amount} ausgegeben',
+  'result.today': 'Heute',
+  'result.total': 'Gesamt: {amount}',
+  'result.acrossAccounts_one': '{amount} auf {count} Konto',
+  'result.acrossAccounts_other': '{amount} auf {count} Konten',
+  'result.reservedBills_one': '{amount} für {count} Rechnung zurückgelegt',
+  'result.reservedBills_other': '{amount} für {count} Rechnungen zurückgelegt',
+  'result.noRateYet': '(noch kein Kurs)',
+  'result.mainAccount': 'Hauptkonto',
+
+  'savings.goal': 'Sparziel',
+  'savings.progress': '{projected} von {target}',
+  'savings.onTrack': 'Auf gutem Weg, es bis zum Zahltag zu erreichen',
+  'savings.behind': 'Bei diesem Tempo fehlen dir {amount}',
+
+  'rate.line': '1 {from} = {value} {to}',
+  'rate.crossRate': '(Kreuzkurs über {via})',
+  'rate.viaProvider': 'über {provider}',
+  'rate.offline': '(offline, {age} alt)',
+  'rate.manual': '(von Hand gesetzt)',
+  'age.minutes': '{count} Min.',
+  'age.hours': '{count} Std.',
+  'age.days_one': '{count} Tag',
+  'age.days_other': '{count} Tage',
+
+  'error.billsExceedBalance': 'Die anstehenden Rechnungen übersteigen deinen restlichen Kontostand.',
+  'error.balanceUsedUp': 'Deine erfassten Ausgaben haben den Kontostand aufgebraucht.',
+  'error.savingsTakesRest': 'Dein Sparziel beansprucht den gesamten restlichen Kontostand.',
+  'error.futurePayday': 'Wähle einen Zahltag in der Zukunft.',
+
+  'link.copy': 'Link kopieren',
+  'link.copied': 'Link kopiert',
+  'link.copyPrompt': 'Diesen Link kopieren:',
+
+  'scenario.title': 'Was wäre, wenn?',
+  'scenario.close': 'Szenario schließen',
+  'scenario.payday': 'Zahltag {date}',
+  'scenario.shownIn': 'in {currency}',
+  'scenario.perDay_one': 'pro Tag für {count} Tag',
+  'scenario.perDay_other': 'pro Tag für {count} Tage',
+  'scenario.incomplete': 'Gib deinen eigenen Kontostand ein, um dieses Szenario zu sehen.',
+  'scenario.notSaved': 'Szenarien lassen dein Budget unverändert, bis du eines übernimmst.',
+  'scenario.add': '+ Szenario',
+  'scenario.empty': 'Probiere einen anderen Kontostand, eine zusätzliche Ausgabe, einen anderen Zahltag oder Wechselkurs aus, ohne dein Budget zu ändern.',
+  'scenario.live': 'Aktuell',
+  'scenario.untracked': 'Wie die Szenarien gleichmäßig bis zum Zahltag verteilt, nicht das heutige Budget',
+  'scenario.shared': 'Geteilter Link',
+  'scenario.name': 'Name des Szenarios',
+  'scenario.untitled': 'Szenario {number}',
+  'scenario.delete': 'Szenario entfernen',
+  'scenario.keep': 'Behalten',
+  'scenario.promote': 'Übernehmen',
+  'scenario.promoteAccounts': 'Dein Kontostand wird auf den des Szenarios gesetzt und deine anderen Konten auf null. Fortfahren?',
+  'scenario.extraExpense': 'Zusätzliche Ausgabe',
+  'scenario.withExpense': '{amount} zusätzliche Ausgabe',
+  'scenario.rate': '1 {from} in {to}',
+  'scenario.more': '{amount} mehr pro Tag',
+  'scenario.less': '{amount} weniger pro Tag',
+
+  'input.balance': 'Kontostand',
+  'input.payday': 'Zahltag',
+  'input.paydayFromSchedule': 'Wird durch deinen Zahlungsplan in den Einstellungen bestimmt',
+  'conversion.title': 'In anderer Währung anzeigen',
+  'conversion.on': 'Umrechnung in {currency}',
+  'conversion.off': 'Umrechnung aus',
+
+  'pinned.title': 'Auch anzeigen in',
+  'pinned.add': '+ Währung',
+  'pinned.remove': '{currency} lösen',
+  'pinned.switch': '{currency} als Hauptbetrag anzeigen',
+
+  'expense.spent': 'Ausgabe',
+  'expense.amountSpent': 'Ausgegebener Betrag',
+  'expense.amount': 'Betrag',
+  'expense.category': 'Kategorie',
+  'expense.note': 'Notiz',
+  'expense.noteOptional': 'Notiz (optional)',
+  'expense.add': 'Hinzufügen',
+  'expense.delete': 'Ausgabe löschen',
+  'expense.inBalance': 'im Kontostand enthalten',
+
+  'category.food': 'Essen & Trinken',
+  'category.groceries': 'Lebensmittel',
+  'category.transport': 'Verkehr',
+  'category.shopping': 'Einkaufen',
+  'category.fun': 'Freizeit',
+  'category.health': 'Gesundheit',
+  'category.bills': 'Rechnungen',
+  'category.other': 'Sonstiges',
+
+  'common.save': 'Speichern',
+  'common.cancel': 'Abbrechen',
+  'common.done': 'Fertig',
+  'common.currency': 'Währung',
+
+  'accounts.title': 'Weitere Konten',
+  'accounts.add': 'Konto hinzufügen',
+  'accounts.name': 'Kontoname',
+  'accounts.namePlaceholder': 'Bargeld, Sparkarte…',
+  'accounts.balance': 'Kontostand',
+  'accounts.balanceOf': 'Kontostand {name}',
+  'accounts.currencyOf': 'Währung {name}',
+  'accounts.delete': '{name} löschen',
+  'accounts.empty': 'Bargeld oder Karten in Fremdwährung werden in {currency} umgerechnet und zu deinem Kontostand addiert.',
+
+  'bills.title': 'Anstehende Rechnungen',
+  'bills.add': 'Rechnung hinzufügen',
+  'bills.name': 'Name der Rechnung',
+  'bills.namePlaceholder': 'Miete, Netflix…',
+  'bills.amount': 'Betrag',
+  'bills.dueDate': 'Fälligkeitsdatum',
+  'bills.repeats': 'Wiederholung',
+  'bills.paid': 'Bezahlt',
+  'bills.noRate': 'noch kein {currency}-Kurs',
+  'bills.delete': 'Rechnung löschen',
+  'bills.empty': 'Miete, Abos und Kredite, die vor dem Zahltag fällig sind, werden hier zurückgelegt.',
+
+  'recurrence.none': 'Einmalig',
+  'recurrence.weekly': 'Wöchentlich',
+  'recurrence.monthly': 'Monatlich',
+  'recurrence.yearly': 'Jährlich',
+
+  'history.title': 'Verlauf',
+  'history.empty': 'Gib Kontostand und Zahltag ein, um dein Tagesbudget und deine Ausgaben aufzuzeichnen.',
+  'history.period': 'Zahlungszeitraum',
+  'history.currentUntil': 'Aktueller Zeitraum bis {date}',
+  'history.periodUntil': 'Zeitraum bis {date}',
+  'history.chartLabel': 'Tagesbudget und Ausgaben in {currency}',
+  'history.spentOf': '{date}: {spent} von {allowance}',
+  'history.legendSpent': 'Ausgegeben',
+  'history.legendBudget': 'Tagesbudget',
+  'history.spentInDays_one': 'ausgegeben an {count} Tag',
+  'history.spentInDays_other': 'ausgegeben an {count} Tagen',
+  'history.averagePerDay': 'Durchschnitt pro Tag',
+  'history.daysOver_one': 'Tag über Budget',
+  'history.daysOver_other': 'Tage über Budget',
+  'history.left': '{amount} übrig',
+
+  'settings.title': 'Einstellungen',
+  'settings.language': 'Sprache',
+  'settings.languageAuto': 'Wie auf dem Gerät',
+  'settings.languageHint': 'Bestimmt auch, wie Beträge und Daten geschrieben werden.',
+  'settings.offlineRates': 'Offline-Kurse behalten für',
+  'settings.offlineDays_one': '{count} Tag',
+  'settings.offlineDays_other': '{count} Tage',
+  'settings.offlineWeek': '1 Woche',
+  'settings.offlineHint': 'Ältere zwischengespeicherte Kurse werden gelöscht und offline nicht verwendet.',
+  'settings.trackDaily': 'Ausgaben pro Tag verfolgen',
+  'settings.trackDailyHint': 'Zeigt, was vom heutigen Budget übrig ist. Das Budget wird jeden Morgen festgelegt; nicht Ausgegebenes oder zu viel Ausgegebenes wird auf die restlichen Tage verteilt.',
+  'settings.recalculate': 'Heutiges Budget neu berechnen',
+  'settings.version': 'Version',
+  'settings.notInstalled': 'Noch nicht installiert',
+  'settings.devBuild': 'Entwicklungsversion',
+  'settings.updateReload': 'Update verfügbar – zum Installieren neu laden',
+  'settings.clearData': 'Daten löschen',
+  'settings.clearConfirm': 'Willst du wirklich alle Daten löschen?',
+
+  'providers.title': 'Wechselkurs-Anbieter',
+  'providers.primary': 'Primär',
+  'providers.fallback': 'Ausweichlösung',
+  'providers.moveUp': '{name} nach oben verschieben',
+  'providers.remove': '{name} entfernen',
+  'providers.addFallback': 'Ausweich-Anbieter hinzufügen…',
+  'providers.hint': 'Ist ein Anbieter nicht erreichbar, wird der nächste versucht und danach der zuletzt gespeicherte Kurs verwendet.',
+  'providers.apiKey': 'API-Schlüssel für {name}',
+  'providers.apiKeyPlaceholder': 'API-Schlüssel eingeben',
+  'providers.skipped': 'Wird übersprungen, bis ein Schlüssel eingegeben ist.',
+  'provider.frankfurter': 'Kostenlos, ohne Schlüssel. EZB-Referenzkurse',
+  'provider.exchangerate-host': 'Kostenloser Tarif, API-Schlüssel nötig',
+  'provider.open-er-api': 'Kostenlos, ohne Schlüssel. Täglich aktualisiert',
+
+  'schedule.title': 'Zahlungsplan',
+  'schedule.manual': 'Datum auswählen',
+  'schedule.monthly': 'Monatlich an einem festen Tag',
+  'schedule.last-business-day': 'Letzter Werktag des Monats',
+  'schedule.biweekly': 'Alle zwei Wochen',
+  'schedule.four-weekly': 'Alle vier Wochen',
+  'schedule.dayOfMonth': 'Tag des Monats',
+  'schedule.anchor': 'Ein kürzlicher Zahltag',
+  'schedule.holidays': 'Feiertage',
+  'schedule.holidaysHint': 'Zahltage, die auf ein Wochenende oder eines dieser Daten fallen, rücken auf den Werktag davor.',
+
+  'weighting.title': 'Tagesbudget',
+  'weighting.even': 'Gleichmäßig verteilen',
+  'weighting.weekend': 'Wochenenden zählen mehr',
+  'weighting.custom': 'Eigene Gewichtung pro Wochentag',
+  'weighting.weekendFactor': 'Jeder Samstag und Sonntag zählt wie',
+  'weighting.weekendHint': 'Tage an Ausgaben. Wochentage zählen als 1.',
+  'weighting.customHint': 'Ein Tag mit Gewicht 2 bekommt doppelt so viel wie ein Tag mit Gewicht 1. Nutze 0 für Tage ohne Ausgaben.',
+
+  'calendar.title': 'Budget-Tage',
+  'calendar.timeZone': 'Zeitzone',
+  'calendar.timeZoneAuto': 'Dieses Gerät ({zone})',
+  'calendar.dayStart': 'Ein neuer Tag beginnt um',
+  'calendar.dayStartHint': 'Ausgaben vor dieser Uhrzeit zählen noch zum Vortag – für lange Nächte und Nachtschichten.',
+  'calendar.paydayCounts': 'Zahltag noch aus diesem Zeitraum bezahlen',
+  'calendar.paydayCountsHint': 'Schalte das aus, wenn dein Gehalt früh am Zahltag eingeht – dann reicht das Budget bis zum Vortag.',
+
+  'savingsSettings.title': 'Sparziel',
+  'savingsSettings.off': 'Kein Sparziel',
+  'savingsSettings.amount': 'Fester Betrag',
+  'savingsSettings.percent': 'Prozent des Kontostands',
+  'savingsSettings.amountLabel': 'Bis zum Zahltag zurückzulegender Betrag ({currency})',
+  'savingsSettings.percentLabel': 'Prozent deines Kontostands',
+  'savingsSettings.name': 'Sparen für (optional)',
+  'savingsSettings.namePlaceholder': 'Urlaub, Notgroschen…',
+  'savingsSettings.hint': 'Das Sparziel wird aus deinem Tagesbudget herausgerechnet.',
+
+  'notifications.title': 'Erinnerungen',
+  'notifications.unsupported': 'Dieser Browser unterstützt keine Benachrichtigungen.',
+  'notifications.blocked': 'Benachrichtigungen sind für diese Seite blockiert. Erlaube sie zuerst in den Browser-Einstellungen.',
+  'notifications.morning': 'Morgendliche Budget-Erinnerung',
+  'notifications.payday': 'Hinweis vor dem Zahltag',
+  'notifications.paydayOff': 'Aus',
+  'notifications.daysBefore_one': '{count} Tag vorher',
+  'notifications.daysBefore_other': '{count} Tage vorher',
+  'notifications.weekBefore': '1 Woche vorher',
+  'notifications.overspend': 'Warnen, wenn das heutige Budget überschritten ist',
+  'notifications.hint': 'Erinnerungen erscheinen, solange die App geöffnet ist. Installierte Apps können sie auch im Hintergrund erhalten, wenn der Browser es erlaubt.',
+  'notify.morningTitle': 'Budget für heute: {amount}',
+  'notify.morningBody_one': 'Noch {count} Tag, heute mitgezählt.',
+  'notify.morningBody_other': 'Noch {count} Tage, heute mitgezählt.',
+  'notify.overspendTitle': 'Über dem heutigen Budget',
+  'notify.overspendBody': 'Du hast heute {spent} von {allowance} ausgegeben.',
+  'notify.paydayTitle_one': 'Zahltag in {count} Tag',
+  'notify.paydayTitle_other': 'Zahltag in {count} Tagen',
+  'notify.paydayBody': 'Bis dahin sind noch {amount} übrig.',
+
+  'data.title': 'Sicherung & Übertragung',
+  'data.exportBackup': 'Sicherung exportieren',
+  'data.exportCSV': 'CSV exportieren',
+  'data.import': 'Importieren…',
+  'data.hint': 'Die Sicherung enthält Einstellungen, Kontostände, Rechnungen und Verlauf. Die CSV listet erfasste Ausgaben auf.',
+  'data.backup': 'Sicherung',
+  'data.csv': 'CSV-Buchungen',
+  'data.from': 'vom {date}',
+  'data.expenses_one': '{count} Ausgabe',
+  'data.expenses_other': '{count} Ausgaben',
+  'data.bills_one': '{count} Rechnung',
+  'data.bills_other': '{count} Rechnungen',
+  'data.accounts_one': '{count} Konto',
+  'data.accounts_other': '{count} Konten',
+  'data.history_one': '{count} Tag Verlauf',
+  'data.history_other': '{count} Tage Verlauf',
+  'data.settings_one': '{count} Einstellung',
+  'data.settings_other': '{count} Einstellungen',
+  'data.mergeHint': 'Zusammenführen ergänzt fehlende Einträge und behält deine Einstellungen. Ersetzen überschreibt sie.',
+  'data.merge': 'Zusammenführen',
+  'data.replace': 'Ersetzen',
+  'data.replaceConfirm': 'Deine aktuellen Daten durch diese Sicherung ersetzen?',
+  'data.scenarios_one': '{count} Szenario',
+  'data.scenarios_other': '{count} Szenarien',
+
+  'backup.emptyFile': 'Die Datei ist leer.',
+  'backup.invalidJSON': 'Diese Datei ist kein gültiges JSON.',
+  'backup.notBackup': 'Das ist keine DailySpend-Sicherung.',
+  'backup.newerVersion': 'Diese Sicherung stammt aus einer neueren Version von DailySpend. Aktualisiere die App und versuche es erneut.',
+  'backup.csvColumns': 'Die CSV braucht mindestens eine Spalte „date“ und „amount“.',
+  'backup.skippedRows_one': '{count} Zeile ohne gültiges Datum oder gültigen Betrag wird übersprungen.',
+  'backup.skippedRows_other': '{count} Zeilen ohne gültiges Datum oder gültigen Betrag werden übersprungen.',
+  'backup.otherCurrency_one': '{count} Zeile in {currencies} wird übersprungen, da Beträge in {currency} gebucht werden.',
+  'backup.otherCurrency_other': '{count} Zeilen in {currencies} werden übersprungen, da Beträge in {currency} gebucht werden.',
+  'backup.malformed': '„{key}“ ist fehlerhaft und wird ignoriert.',
+  'backup.invalidEntries_one': '{count} ungültiger Eintrag in „{key}“ wird übersprungen.',
+  'backup.invalidEntries_other': '{count} ungültige Einträge in „{key}“ werden übersprungen.',
+  'backup.badSetting': 'Die Einstellung „{key}“ hat einen unerwarteten Wert und wird ignoriert.'
+};
@@ -0,0 +1,308 @@
+// UI strings. Keys are grouped by screen; `_one`/`_other` suffixes are plural
+// forms picked by t() from the `count` parameter.
+export default {
+  'app.offline': 'Offline',
+  'app.openHistory': 'Open history',
+  'app.openSettings': 'Open settings',
+  'app.updateAvailable': 'Update available',
+  'app.reload': 'Reload',
+  'app.dismissUpdate': 'Dismiss update notice',
+  'app.install': 'Install App',
+  'app.installHint': 'On iPhone: Share → "Add to Home Screen"',
+  'app.selectCurrency': 'Select Currency',
+
+  'storage.blocked': 'DailySpend is updating its data. Close DailySpend in your other tabs to continue.',
+  'storage.stale': 'A newer version of DailySpend is open in another tab. Reload this page to use it.',
+
+  'picker.search': 'Search by code or name',
+  'picker.favorites': 'Favorites',
+  'picker.recent': 'Recently used',
+  'picker.all': 'All currencies',
+  'picker.results': 'Matches',
+  'picker.noMatches': 'No currency matches your search.',
+  'picker.favorite': 'Pin {code} to favorites',
+  'picker.unfavorite': 'Unpin {code} from favorites',
+
+  'result.placeholder': 'Enter your balance and payday to get started',
+  'result.overToday': 'Over today\'s budget',
+  'result.remainingToday': 'Remaining today',
+  'result.allowanceSpent': '{allowance} allowance • {spent} spent today',
+  'result.rolloverUnspent': '{amount} unspent rolled into the remaining days',
+  'result.rolloverOverspent': '{amount} overspend spread over the remaining days',
+  'result.budget.daily': 'Daily spending budget',
+  'result.budget.dailyAfterBills': 'Daily spending budget after bills',
+  'result.budget.dailyAfterSavings': 'Daily spending budget after savings',
+  'result.budget.dailyAfterBillsAndSavings': 'Daily spending budget after bills and savings',
+  'result.budget.today': 'Today\'s spending budget',
+  'result.budget.todayAfterBills': 'Today\'s spending budget after bills',
+  'result.budget.todayAfterSavings': 'Today\'s spending budget after savings',
+  'result.budget.todayAfterBillsAndSavings': 'Today\'s spending budget after bills and savings',
+  'result.daysLeft_one': '{count} day left until payday',
+  'result.daysLeft_other': '{count} days left until payday',
+  'result.spent': '{amount} spent',
+  'result.today': 'Today',
+  'result.total': 'Total: {amount}',
+  'result.acrossAccounts_one': '{amount} across {count} account',
+  'result.acrossAccounts_other': '{amount} across {count} accounts',
+  'result.reservedBills_one': '{amount} reserved for {count} bill',
+  'result.reservedBills_other': '{amount} reserved for {count} bills',
+  'result.noRateYet': '(no rate yet)',
+  'result.mainAccount': 'Main',
+
+  'savings.goal': 'Savings goal',
+  'savings.progress': '{projected} of {target}',
+  'savings.onTrack': 'On pace to reach it by payday',
+  'savings.behind': 'At this pace you\'ll be {amount} short',
+
+  'rate.line': '1 {from} = {value} {to}',
+  'rate.crossRate': '(cross rate via {via})',
+  'rate.viaProvider': 'via {provider}',
+  'rate.offline': '(offline, {age} old)',
+  'rate.manual': '(set by hand)',
+  'age.minutes': '{count} min',
+  'age.hours': '{count} h',
+  'age.days_one': '{count} day',
+  'age.days_other': '{count} days',
+
+  'error.billsExceedBalance': 'Upcoming bills exceed what is left of your balance.',
+  'error.balanceUsedUp': 'Logged spending has used up your balance.',
+  'error.savingsTakesRest': 'Your savings goal takes up the rest of your balance.',
+  'error.futurePayday': 'Choose a future payday.',
+
+  'link.copy': 'Copy link',
+  'link.copied': 'Link copied',
+  'link.copyPrompt': 'Copy this link:',
+
+  'scenario.title': 'What if?',
+  'scenario.close': 'Close scenario',
+  'scenario.payday': 'payday {date}',
+  'scenario.shownIn': 'in {currency}',
+  'scenario.perDay_one': 'per day for {count} day',
+  'scenario.perDay_other': 'per day for {count} days',
+  'scenario.incomplete': 'Enter your own balance to see this scenario.',
+  'scenario.notSaved': 'Scenarios leave your budget alone until you use one as live.',
+  'scenario.add': '+ Scenario',
+  'scenario.empty': 'Try a different balance, extra expense, payday or exchange rate without touching your budget.',
+  'scenario.live': 'Live',
+  'scenario.untracked': 'Split evenly to payday like the scenarios, not today\'s allowance',
+  'scenario.shared': 'Shared link',
+  'scenario.name': 'Scenario name',
+  'scenario.untitled': 'Scenario {number}',
+  'scenario.delete': 'Remove scenario',
+  'scenario.keep': 'Keep',
+  'scenario.promote': 'Use as live',
+  'scenario.promoteAccounts': 'This sets your balance to the scenario\'s and your other accounts to zero. Continue?',
+  'scenario.extraExpense': 'Extra expense',
+  'scenario.withExpense': '{amount} extra expense',
+  'scenario.rate': '1 {from} in {to}',
+  'scenario.more': '{amount} more per day',
+  'scenario.less': '{amount} less per day',
+
+  'input.balance': 'Balance',
+  'input.payday': 'Payday',
+  'input.paydayFromSchedule': 'Set by your pay schedule in settings',
+  'conversion.title': 'Display in different currency',
+  'conversion.on': 'Converting to {currency}',
+  'conversion.off': 'Conversion disabled',
+
+  'pinned.title': 'Also show in',
+  'pinned.add': '+ Currency',
+  'pinned.remove': 'Unpin {currency}',
+  'pinned.switch': 'Show {currency} as the main amount',
+
+  'expense.spent': 'Spent',
+  'expense.amountSpent': 'Amount spent',
+  'expense.amount': 'Amount',
+  'expense.category': 'Category',
+  'expense.note': 'Note',
+  'expense.noteOptional': 'Note (optional)',
+  'expense.add': 'Add',
+  'expense.delete': 'Delete expense',
+  'expense.inBalance': 'in balance',
+
+  'category.food': 'Food & Drink',
+  'category.groceries': 'Groceries',
+  'category.transport': 'Transport',
+  'category.shopping': 'Shopping',
+  'category.fun': 'Entertainment',
+  'category.health': 'Health',
+  'category.bills': 'Bills',
+  'category.other': 'Other',
+
+  'common.save': 'Save',
+  'common.cancel': 'Cancel',
+  'common.done': 'Done',
+  'common.currency': 'Currency',
+
+  'accounts.title': 'Other accounts',
+  'accounts.add': 'Add account',
+  'accounts.name': 'Account name',
+  'accounts.namePlaceholder': 'Cash, savings card…',
+  'accounts.balance': 'Balance',
+  'accounts.balanceOf': '{name} balance',
+  'accounts.currencyOf': '{name} currency',
+  'accounts.delete': 'Delete {name}',
+  'accounts.empty': 'Cash or foreign-currency cards are converted to {currency} and added to your balance.',
+
+  'bills.title': 'Upcoming bills',
+  'bills.add': 'Add bill',
+  'bills.name': 'Bill name',
+  'bills.namePlaceholder': 'Rent, Netflix…',
+  'bills.amount': 'Amount',
+  'bills.dueDate': 'Due date',
+  'bills.repeats': 'Repeats',
+  'bills.paid': 'Paid',
+  'bills.noRate': 'no {currency} rate yet',
+  'bills.delete': 'Delete bill',
+  'bills.empty': 'Rent, subscriptions and loans due before payday are set aside here.',
+
+  'recurrence.none': 'One-off',
+  'recurrence.weekly': 'Weekly',
+  'recurrence.monthly': 'Monthly',
+  'recurrence.yearly': 'Yearly',
+
+  'history.title': 'History',
+  'history.empty': 'Enter your balance and payday to start recording your daily budget and spending.',
+  'history.period': 'Pay period',
+  'history.currentUntil': 'Current period until {date}',
+  'history.periodUntil': 'Period until {date}',
+  'history.chartLabel': 'Daily allowance and spending in {currency}',
+  'history.spentOf': '{date}: {spent} of {allowance}',
+  'history.legendSpent': 'Spent',
+  'history.legendBudget': 'Daily budget',
+  'history.spentInDays_one': 'spent in {count} day',
+  'history.spentInDays_other': 'spent in {count} days',
+  'history.averagePerDay': 'average per day',
+  'history.daysOver_one': 'day over budget',
+  'history.daysOver_other': 'days over budget',
+  'history.left': '{amount} left',
+
+  'settings.title': 'Settings',
+  'settings.language': 'Language',
+  'settings.languageAuto': 'Same as the device',
+  'settings.languageHint': 'Also decides how amounts and dates are written.',
+  'settings.offlineRates': 'Keep Offline Rates For',
+  'settings.offlineDays_one': '{count} day',
+  'settings.offlineDays_other': '{count} days',
+  'settings.offlineWeek': '1 week',
+  'settings.offlineHint': 'Older cached rates are deleted and won\'t be used offline.',
+  'settings.trackDaily': 'Track spending per day',
+  'settings.trackDailyHint': 'Shows what is left of today\'s allowance. The allowance is set once each morning and anything unspent or overspent is spread over the remaining days.',
+  'settings.recalculate': 'Recalculate today\'s allowance',
+  'settings.version': 'Version',
+  'settings.notInstalled': 'Not installed yet',
+  'settings.devBuild': 'Development build',
+  'settings.updateReload': 'Update available – reload to install',
+  'settings.clearData': 'Clear Data',
+  'settings.clearConfirm': 'Are you sure you want to clear all data?',
+
+  'providers.title': 'Exchange Rate Providers',
+  'providers.primary': 'Primary',
+  'providers.fallback': 'Fallback',
+  'providers.moveUp': 'Move {name} up',
+  'providers.remove': 'Remove {name}',
+  'providers.addFallback': 'Add a fallback provider…',
+  'providers.hint': 'If a provider can\'t be reached the next one is tried, then the last cached rate is used.',
+  'providers.apiKey': '{name} API Key',
+  'providers.apiKeyPlaceholder': 'Enter your API key',
+  'providers.skipped': 'Skipped until a key is entered.',
+  'provider.frankfurter': 'Free, no key. ECB daily reference rates',
+  'provider.exchangerate-host': 'Free tier, needs an API key',
+  'provider.open-er-api': 'Free, no key. Updated daily',
+
+  'schedule.title': 'Pay Schedule',
+  'schedule.manual': 'Pick a date',
+  'schedule.monthly': 'Monthly on a fixed day',
+  'schedule.last-business-day': 'Last business day of the month',
+  'schedule.biweekly': 'Every two weeks',
+  'schedule.four-weekly': 'Every four weeks',
+  'schedule.dayOfMonth': 'Day of the month',
+  'schedule.anchor': 'A recent payday',
+  'schedule.holidays': 'Bank holidays',
+  'schedule.holidaysHint': 'Paydays falling on a weekend or one of these dates move to the business day before.',
+
+  'weighting.title': 'Daily Allowance',
+  'weighting.even': 'Spread evenly',
+  'weighting.weekend': 'Weekends count more',
+  'weighting.custom': 'Custom weight per weekday',
+  'weighting.weekendFactor': 'Each Saturday and Sunday counts as',
+  'weighting.weekendHint': 'days\' worth of spending. Weekdays count as 1.',
+  'weighting.customHint': 'A day weighted 2 gets twice the allowance of a day weighted 1. Use 0 for days you don\'t spend.',
+
+  'calendar.title': 'Budget days',
+  'calendar.timeZone': 'Time zone',
+  'calendar.timeZoneAuto': 'This device ({zone})',
+  'calendar.dayStart': 'A new day starts at',
+  'calendar.dayStartHint': 'Spending before this time still counts toward the day before, for late nights and night shifts.',
+  'calendar.paydayCounts': 'Spend on payday from this period',
+  'calendar.paydayCountsHint': 'Turn off if your pay arrives early on payday, so the budget runs out the day before.',
+
+  'savingsSettings.title': 'Savings Goal',
+  'savingsSettings.off': 'No savings goal',
+  'savingsSettings.amount': 'Fixed amount',
+  'savingsSettings.percent': 'Percentage of balance',
+  'savingsSettings.amountLabel': 'Amount to keep by payday ({currency})',
+  'savingsSettings.percentLabel': 'Percentage of your balance',
+  'savingsSettings.name': 'Saving for (optional)',
+  'savingsSettings.namePlaceholder': 'Holiday, emergency fund…',
+  'savingsSettings.hint': 'The goal is left out of your daily budget.',
+
+  'notifications.title': 'Reminders',
+  'notifications.unsupported': 'This browser doesn\'t support notifications.',
+  'notifications.blocked': 'Notifications are blocked for this site. Allow them in your browser settings first.',
+  'notifications.morning': 'Morning allowance reminder',
+  'notifications.payday': 'Payday heads-up',
+  'notifications.paydayOff': 'Off',
+  'notifications.daysBefore_one': '{count} day before',
+  'notifications.daysBefore_other': '{count} days before',
+  'notifications.weekBefore': '1 week before',
+  'notifications.overspend': 'Alert when over today\'s budget',
+  'notifications.hint': 'Reminders are shown while the app is open. Installed apps can also get them in the background when the browser allows it.',
+  'notify.morningTitle': 'Today\'s budget: {amount}',
+  'notify.morningBody_one': '{count} day left including today.',
+  'notify.morningBody_other': '{count} days left including today.',
+  'notify.overspendTitle': 'Over today\'s budget',
+  'notify.overspendBody': 'You\'ve spent {spent} of {allowance} today.',
+  'notify.paydayTitle_one': 'Payday in {count} day',
+  'notify.paydayTitle_other': 'Payday in {count} days',
+  'notify.paydayBody': '{amount} left to spend until then.',
+
+  'data.title': 'Backup & Transfer',
+  'data.exportBackup': 'Export backup',
+  'data.exportCSV': 'Export CSV',
+  'data.import': 'Import…',
+  'data.hint': 'The backup holds your settings, balances, bills and history. The CSV lists logged transactions.',
+  'data.backup': 'Backup',
+  'data.csv': 'CSV transactions',
+  'data.from': 'from {date}',
+  'data.expenses_one': '{count} expense',
+  'data.expenses_other': '{count} expenses',
+  'data.bills_one': '{count} bill',
+  'data.bills_other': '{count} bills',
+  'data.accounts_one': '{count} account',
+  'data.accounts_other': '{count} accounts',
+  'data.history_one': '{count} day of history',
+  'data.history_other': '{count} days of history',
+  'data.settings_one': '{count} setting',
+  'data.settings_other': '{count} settings',
+  'data.mergeHint': 'Merge adds entries you don\'t have yet and keeps your settings. Replace overwrites them.',
+  'data.merge': 'Merge',
+  'data.replace': 'Replace',
+  'data.replaceConfirm': 'Replace your current data with this backup?',
+  'data.scenarios_one': '{count} scenario',
+  'data.scenarios_other': '{count} scenarios',
+
+  'backup.emptyFile': 'The file is empty.',
+  'backup.invalidJSON': 'This file is not valid JSON.',
+  'backup.notBackup': 'This is not a DailySpend backup.',
+  'backup.newerVersion': 'This backup was made by a newer version of DailySpend. Update the app and try again.',
+  'backup.csvColumns': 'CSV needs at least a "date" and an "amount" column.',
+  'backup.skippedRows_one': '{count} row without a valid date or amount will be skipped.',
+  'backup.skippedRows_other': '{count} rows without a valid date or amount will be skipped.',
+  'backup.otherCurrency_one': '{count} row in {currencies} will be skipped, as amounts are booked in {currency}.',
+  'backup.otherCurrency_other': '{count} rows in {currencies} will be skipped, as amounts are booked in {currency}.',
+  'backup.malformed': '"{key}" is malformed and will be ignored.',
+  'backup.invalidEntries_one': '{count} invalid {key} entry will be skipped.',
+  'backup.invalidEntries_other': '{count} invalid {key} entries will be skipped.',
+  'backup.badSetting': 'Setting "{key}" has an unexpected value and will be ignored.'
+};
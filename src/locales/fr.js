@@ -0,0 +1,307 @@
+// French UI strings. Missing keys fall back to en.js.
+export default {
+  'app.offline': 'Hors ligne',
+  'app.openHistory': 'Ouvrir l’historique',
+  'app.openSettings': 'Ouvrir les réglages',
+  'app.updateAvailable': 'Mise à jour disponible',
+  'app.reload': 'Recharger',
+  'app.dismissUpdate': 'Ignorer la mise à jour',
+  'app.install': 'Installer l’app',
+  'app.installHint': 'Sur iPhone : Partager → « Sur l’écran d’accueil »',
+  'app.selectCurrency': 'Choisir une devise',
+
+  'storage.blocked': 'DailySpend met à jour ses données. Fermez DailySpend dans vos autres onglets pour continuer.',
+  'storage.stale': 'Une version plus récente de DailySpend est ouverte dans un autre onglet. Rechargez cette page pour l’utiliser.',
+
+  'picker.search': 'Rechercher par code ou nom',
+  'picker.favorites': 'Favoris',
+  'picker.recent': 'Utilisées récemment',
+  'picker.all': 'Toutes les devises',
+  'picker.results': 'Résultats',
+  'picker.noMatches': 'Aucune devise ne correspond à votre recherche.',
+  'picker.favorite': 'Épingler {code} aux favoris',
+  'picker.unfavorite': 'Retirer {code} des favoris',
+
+  'result.placeholder': 'Saisissez votre solde et votre jour de paie pour commencer',
+  'result.overToday': 'Budget du jour dépassé',
+  'result.remainingToday': 'Reste aujourd’hui',
+  'result.allowanceSpent': '{allowance} de budget • {spent} dépensés aujourd’hui',
+  'result.rolloverUnspent': '{amount} non dépensés répartis sur les jours restants',
+  'result.rolloverOverspent': '{amount} de dépassement répartis sur les jours restants',
+  'result.budget.daily': 'Budget quotidien',
+  'result.budget.dailyAfterBills': 'Budget quotidien après factures',
+  'result.budget.dailyAfterSavings': 'Budget quotidien après épargne',
+  'result.budget.dailyAfterBillsAndSavings': 'Budget quotidien après factures et épargne',
+  'result.budget.today': 'Budget du jour',
+  'result.budget.todayAfterBills': 'Budget du jour après factures',
+  'result.budget.todayAfterSavings': 'Budget du jour après épargne',
+  'result.budget.todayAfterBillsAndSavings': 'Budget du jour après factures et épargne',
+  'result.daysLeft_one': '{count} jour avant la paie',
+  'result.daysLeft_other': '{count} jours avant la paie',
+  'result.spent': '{amount} dépensés',
+  'result.today': 'Auj.',
+  'result.total': 'Total : {amount}',
+  'result.acrossAccounts_one': '{amount} sur {count} compte',
+  'result.acrossAccounts_other': '{amount} sur {count} comptes',
+  'result.reservedBills_one': '{amount} réservés pour {count} facture',
+  'result.reservedBills_other': '{amount} réservés pour {count} factures',
+  'result.noRateYet': '(pas encore de taux)',
+  'result.mainAccount': 'Principal',
+
+  'savings.goal': 'Objectif d’épargne',
+  'savings.progress': '{projected} sur {target}',
+  'savings.onTrack': 'En bonne voie pour l’atteindre d’ici la paie',
+  'savings.behind': 'À ce rythme, il vous manquera {amount}',
+
+  'rate.line': '1 {from} = {value} {to}',
+  'rate.crossRate': '(taux croisé via {via})',
+  'rate.viaProvider': 'via {provider}',
+  'rate.offline': '(hors ligne, il y a {age})',
+  'rate.manual': '(saisi à la main)',
+  'age.minutes': '{count} min',
+  'age.hours': '{count} h',
+  'age.days_one': '{count} jour',
+  'age.days_other': '{count} jours',
+
+  'error.billsExceedBalance': 'Les factures à venir dépassent ce qui reste de votre solde.',
+  'error.balanceUsedUp': 'Les dépenses saisies ont épuisé votre solde.',
+  'error.savingsTakesRest': 'Votre objectif d’épargne absorbe tout le reste de votre solde.',
+  'error.futurePayday': 'Choisissez un jour de paie dans le futur.',
+
+  'link.copy': 'Copier le lien',
+  'link.copied': 'Lien copié',
+  'link.copyPrompt': 'Copiez ce lien :',
+
+  'scenario.title': 'Et si ?',
+  'scenario.close': 'Fermer le scénario',
+  'scenario.payday': 'paie le {date}',
+  'scenario.shownIn': 'en {currency}',
+  'scenario.perDay_one': 'par jour pendant {count} jour',
+  'scenario.perDay_other': 'par jour pendant {count} jours',
+  'scenario.incomplete': 'Saisissez votre propre solde pour voir ce scénario.',
+  'scenario.notSaved': 'Les scénarios ne modifient pas votre budget tant que vous n’en appliquez pas un.',
+  'scenario.add': '+ Scénario',
+  'scenario.empty': 'Essayez un autre solde, une dépense en plus, un autre jour de paie ou un autre taux de change sans toucher à votre budget.',
+  'scenario.live': 'Actuel',
+  'scenario.untracked': 'Réparti jusqu’au jour de paie comme les scénarios, pas le budget du jour',
+  'scenario.shared': 'Lien partagé',
+  'scenario.name': 'Nom du scénario',
+  'scenario.untitled': 'Scénario {number}',
+  'scenario.delete': 'Supprimer le scénario',
+  'scenario.keep': 'Garder',
+  'scenario.promote': 'Appliquer',
+  'scenario.promoteAccounts': 'Votre solde prendra celui du scénario et vos autres comptes seront mis à zéro. Continuer ?',
+  'scenario.extraExpense': 'Dépense en plus',
+  'scenario.withExpense': '{amount} de dépense en plus',
+  'scenario.rate': '1 {from} en {to}',
+  'scenario.more': '{amount} de plus par jour',
+  'scenario.less': '{amount} de moins par jour',
+
+  'input.balance': 'Solde',
+  'input.payday': 'Paie',
+  'input.paydayFromSchedule': 'Défini par votre calendrier de paie dans les réglages',
+  'conversion.title': 'Afficher dans une autre devise',
+  'conversion.on': 'Conversion en {currency}',
+  'conversion.off': 'Conversion désactivée',
+
+  'pinned.title': 'Afficher aussi en',
+  'pinned.add': '+ Devise',
+  'pinned.remove': 'Détacher {currency}',
+  'pinned.switch': 'Afficher {currency} comme montant principal',
+
+  'expense.spent': 'Dépense',
+  'expense.amountSpent': 'Montant dépensé',
+  'expense.amount': 'Montant',
+  'expense.category': 'Catégorie',
+  'expense.note': 'Note',
+  'expense.noteOptional': 'Note (facultatif)',
+  'expense.add': 'Ajouter',
+  'expense.delete': 'Supprimer la dépense',
+  'expense.inBalance': 'inclus dans le solde',
+
+  'category.food': 'Restauration',
+  'category.groceries': 'Courses',
+  'category.transport': 'Transport',
+  'category.shopping': 'Shopping',
+  'category.fun': 'Loisirs',
+  'category.health': 'Santé',
+  'category.bills': 'Factures',
+  'category.other': 'Autre',
+
+  'common.save': 'Enregistrer',
+  'common.cancel': 'Annuler',
+  'common.done': 'Terminé',
+  'common.currency': 'Devise',
+
+  'accounts.title': 'Autres comptes',
+  'accounts.add': 'Ajouter un compte',
+  'accounts.name': 'Nom du compte',
+  'accounts.namePlaceholder': 'Espèces, carte d’épargne…',
+  'accounts.balance': 'Solde',
+  'accounts.balanceOf': 'Solde de {name}',
+  'accounts.currencyOf': 'Devise de {name}',
+  'accounts.delete': 'Supprimer {name}',
+  'accounts.empty': 'Les espèces ou cartes en devises sont converties en {currency} et ajoutées à votre solde.',
+
+  'bills.title': 'Factures à venir',
+  'bills.add': 'Ajouter une facture',
+  'bills.name': 'Nom de la facture',
+  'bills.namePlaceholder': 'Loyer, Netflix…',
+  'bills.amount': 'Montant',
+  'bills.dueDate': 'Échéance',
+  'bills.repeats': 'Répétition',
+  'bills.paid': 'Payée',
+  'bills.noRate': 'pas encore de taux {currency}',
+  'bills.delete': 'Supprimer la facture',
+  'bills.empty': 'Le loyer, les abonnements et les crédits dus avant la paie sont mis de côté ici.',
+
+  'recurrence.none': 'Ponctuelle',
+  'recurrence.weekly': 'Hebdomadaire',
+  'recurrence.monthly': 'Mensuelle',
+  'recurrence.yearly': 'Annuelle',
+
+  'history.title': 'Historique',
+  'history.empty': 'Saisissez votre solde et votre jour de paie pour enregistrer votre budget quotidien et vos dépenses.',
+  'history.period': 'Période de paie',
+  'history.currentUntil': 'Période en cours jusqu’au {date}',
+  'history.periodUntil': 'Période jusqu’au {date}',
+  'history.chartLabel': 'Budget quotidien et dépenses en {currency}',
+  'history.spentOf': '{date} : {spent} sur {allowance}',
+  'history.legendSpent': 'Dépensé',
+  'history.legendBudget': 'Budget quotidien',
+  'history.spentInDays_one': 'dépensés en {count} jour',
+  'history.spentInDays_other': 'dépensés en {count} jours',
+  'history.averagePerDay': 'moyenne par jour',
+  'history.daysOver_one': 'jour au-dessus du budget',
+  'history.daysOver_other': 'jours au-dessus du budget',
+  'history.left': '{amount} restants',
+
+  'settings.title': 'Réglages',
+  'settings.language': 'Langue',
+  'settings.languageAuto': 'Comme l’appareil',
+  'settings.languageHint': 'Détermine aussi l’écriture des montants et des dates.',
+  'settings.offlineRates': 'Conserver les taux hors ligne',
+  'settings.offlineDays_one': '{count} jour',
+  'settings.offlineDays_other': '{count} jours',
+  'settings.offlineWeek': '1 semaine',
+  'settings.offlineHint': 'Les taux en cache plus anciens sont supprimés et ne servent plus hors ligne.',
+  'settings.trackDaily': 'Suivre les dépenses par jour',
+  'settings.trackDailyHint': 'Affiche ce qui reste du budget du jour. Le budget est fixé chaque matin ; ce qui n’est pas dépensé ou est dépassé est réparti sur les jours restants.',
+  'settings.recalculate': 'Recalculer le budget du jour',
+  'settings.version': 'Version',
+  'settings.notInstalled': 'Pas encore installée',
+  'settings.devBuild': 'Version de développement',
+  'settings.updateReload': 'Mise à jour disponible – recharger pour l’installer',
+  'settings.clearData': 'Effacer les données',
+  'settings.clearConfirm': 'Voulez-vous vraiment effacer toutes les données ?',
+
+  'providers.title': 'Fournisseurs de taux de change',
+  'providers.primary': 'Principal',
+  'providers.fallback': 'Secours',
+  'providers.moveUp': 'Monter {name}',
+  'providers.remove': 'Retirer {name}',
+  'providers.addFallback': 'Ajouter un fournisseur de secours…',
+  'providers.hint': 'Si un fournisseur est injoignable, le suivant est essayé, puis le dernier taux en cache est utilisé.',
+  'providers.apiKey': 'Clé API {name}',
+  'providers.apiKeyPlaceholder': 'Saisissez votre clé API',
+  'providers.skipped': 'Ignoré tant qu’aucune clé n’est saisie.',
+  'provider.frankfurter': 'Gratuit, sans clé. Taux de référence BCE',
+  'provider.exchangerate-host': 'Offre gratuite, clé API requise',
+  'provider.open-er-api': 'Gratuit, sans clé. Mis à jour chaque jour',
+
+  'schedule.title': 'Calendrier de paie',
+  'schedule.manual': 'Choisir une date',
+  'schedule.monthly': 'Chaque mois à jour fixe',
+  'schedule.last-business-day': 'Dernier jour ouvré du mois',
+  'schedule.biweekly': 'Toutes les deux semaines',
+  'schedule.four-weekly': 'Toutes les quatre semaines',
+  'schedule.dayOfMonth': 'Jour du mois',
+  'schedule.anchor': 'Un jour de paie récent',
+  'schedule.holidays': 'Jours fériés',
+  'schedule.holidaysHint': 'Une paie tombant un week-end ou à l’une de ces dates est avancée au jour ouvré précédent.',
+
+  'weighting.title': 'Budget quotidien',
+  'weighting.even': 'Répartir également',
+  'weighting.weekend': 'Les week-ends comptent plus',
+  'weighting.custom': 'Poids personnalisé par jour',
+  'weighting.weekendFactor': 'Chaque samedi et dimanche compte pour',
+  'weighting.weekendHint': 'jours de dépenses. Les jours de semaine comptent pour 1.',
+  'weighting.customHint': 'Un jour de poids 2 reçoit le double d’un jour de poids 1. Mettez 0 pour les jours sans dépenses.',
+
+  'calendar.title': 'Jours de budget',
+  'calendar.timeZone': 'Fuseau horaire',
+  'calendar.timeZoneAuto': 'Cet appareil ({zone})',
+  'calendar.dayStart': 'Une nouvelle journée commence à',
+  'calendar.dayStartHint': 'Les dépenses avant cette heure comptent encore pour la veille, pour les soirées tardives et le travail de nuit.',
+  'calendar.paydayCounts': 'Dépenser le jour de paie sur cette période',
+  'calendar.paydayCountsHint': 'Désactivez si votre paie arrive tôt le jour de paie : le budget s’arrête alors la veille.',
+
+  'savingsSettings.title': 'Objectif d’épargne',
+  'savingsSettings.off': 'Pas d’objectif',
+  'savingsSettings.amount': 'Montant fixe',
+  'savingsSettings.percent': 'Pourcentage du solde',
+  'savingsSettings.amountLabel': 'Montant à garder d’ici la paie ({currency})',
+  'savingsSettings.percentLabel': 'Pourcentage de votre solde',
+  'savingsSettings.name': 'Épargner pour (facultatif)',
+  'savingsSettings.namePlaceholder': 'Vacances, fonds d’urgence…',
+  'savingsSettings.hint': 'L’objectif est exclu de votre budget quotidien.',
+
+  'notifications.title': 'Rappels',
+  'notifications.unsupported': 'Ce navigateur ne prend pas en charge les notifications.',
+  'notifications.blocked': 'Les notifications sont bloquées pour ce site. Autorisez-les d’abord dans les réglages du navigateur.',
+  'notifications.morning': 'Rappel du budget le matin',
+  'notifications.payday': 'Avertissement avant la paie',
+  'notifications.paydayOff': 'Désactivé',
+  'notifications.daysBefore_one': '{count} jour avant',
+  'notifications.daysBefore_other': '{count} jours avant',
+  'notifications.weekBefore': '1 semaine avant',
+  'notifications.overspend': 'Alerter en cas de dépassement du budget du jour',
+  'notifications.hint': 'Les rappels s’affichent quand l’app est ouverte. Une app installée peut aussi les recevoir en arrière-plan si le navigateur le permet.',
+  'notify.morningTitle': 'Budget du jour : {amount}',
+  'notify.morningBody_one': 'Encore {count} jour, aujourd’hui compris.',
+  'notify.morningBody_other': 'Encore {count} jours, aujourd’hui compris.',
+  'notify.overspendTitle': 'Budget du jour dépassé',
+  'notify.overspendBody': 'Vous avez dépensé {spent} sur {allowance} aujourd’hui.',
+  'notify.paydayTitle_one': 'Paie dans {count} jour',
+  'notify.paydayTitle_other': 'Paie dans {count} jours',
+  'notify.paydayBody': 'Il vous reste {amount} à dépenser d’ici là.',
+
+  'data.title': 'Sauvegarde et transfert',
+  'data.exportBackup': 'Exporter une sauvegarde',
+  'data.exportCSV': 'Exporter en CSV',
+  'data.import': 'Importer…',
+  'data.hint': 'La sauvegarde contient vos réglages, soldes, factures et historique. Le CSV liste les dépenses saisies.',
+  'data.backup': 'Sauvegarde',
+  'data.csv': 'Transactions CSV',
+  'data.from': 'du {date}',
+  'data.expenses_one': '{count} dépense',
+  'data.expenses_other': '{count} dépenses',
+  'data.bills_one': '{count} facture',
+  'data.bills_other': '{count} factures',
+  'data.accounts_one': '{count} compte',
+  'data.accounts_other': '{count} comptes',
+  'data.history_one': '{count} jour d’historique',
+  'data.history_other': '{count} jours d’historique',
+  'data.settings_one': '{count} réglage',
+  'data.settings_other': '{count} réglages',
+  'data.mergeHint': 'Fusionner ajoute les entrées manquantes et conserve vos réglages. Remplacer les écrase.',
+  'data.merge': 'Fusionner',
+  'data.replace': 'Remplacer',
+  'data.replaceConfirm': 'Remplacer vos données actuelles par cette sauvegarde ?',
+  'data.scenarios_one': '{count} scénario',
+  'data.scenarios_other': '{count} scénarios',
+
+  'backup.emptyFile': 'Le fichier est vide.',
+  'backup.invalidJSON': 'Ce fichier n’est pas un JSON valide.',
+  'backup.notBackup': 'Ce n’est pas une sauvegarde DailySpend.',
+  'backup.newerVersion': 'Cette sauvegarde provient d’une version plus récente de DailySpend. Mettez l’app à jour et réessayez.',
+  'backup.csvColumns': 'Le CSV doit contenir au moins une colonne « date » et « amount ».',
+  'backup.skippedRows_one': '{count} ligne sans date ou montant valide sera ignorée.',
+  'backup.skippedRows_other': '{count} lignes sans date ou montant valide seront ignorées.',
+  'backup.otherCurrency_one': '{count} ligne en {currencies} sera ignorée, les montants étant comptés en {currency}.',
+  'backup.otherCurrency_other': '{count} lignes en {currencies} seront ignorées, les montants étant comptés en {currency}.',
+  'backup.malformed': '« {key} » est mal formé et sera ignoré.',
+  'backup.invalidEntries_one': '{count} entrée invalide dans « {key} » sera ignorée.',
+  'backup.invalidEntries_other': '{count} entrées invalides dans « {key} » seront ignorées.',
+  'backup.badSetting': 'Le réglage « {key} » a une valeur inattendue et sera ignoré.'
+};
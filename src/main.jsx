@@ -1,10 +1,34 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { initStorage } from './lib/storage'
+import { t } from './lib/i18n'
 
-// Create root and render app
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-)
\ No newline at end of file
+const root = document.getElementById('root')
+
+function showNotice(message) {
+  root.innerHTML = ''
+  const notice = document.createElement('p')
+  notice.className = 'storage-notice'
+  notice.textContent = message
+  root.appendChild(notice)
+}
+
+// Load persisted state before the first render so App can read it synchronously
+initStorage({
+  onBlocked: () => showNotice(t('storage.blocked')),
+  // another tab upgraded the database; reload to run the same version
+  onStale: () => location.reload()
+}).then(status => {
+  if (status === 'stale') {
+    showNotice(t('storage.stale'))
+    return
+  }
+  root.innerHTML = ''
+  // Create root and render app
+  ReactDOM.createRoot(root).render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>,
+  )
+})
\ No newline at end of file
@@ -1,16 +1,19 @@
-const CACHE_NAME = 'dailyspend-v2';
-const STATIC_ASSETS = [
-  '/',
-  '/index.html',
-  '/src/main.jsx',
-  '/src/App.jsx',
-  '/src/styles.css',
-  '/src/lib/fx.js',
-  '/src/lib/storage.js',
-  '/public/manifest.webmanifest',
-  '/public/icons/icon-192.png',
-  '/public/icons/icon-512.png'
-];
+/* global __SW_BUILD__ */
+import { fetchRateTable } from './lib/fx';
+import { dueNotifications, markSent, notificationOptions } from './lib/notifications';
+import { setLanguage } from './lib/i18n';
+
+// Injected at build time by vite-plugin-sw.js: the deploy's base path, every
+// file the build emitted and a version hash of them.
+const { version, base, precache } = __SW_BUILD__;
+
+const CACHE_NAME = `dailyspend-${version}`;
+const API_CACHE = 'dailyspend-api'; // kept across deploys, entries expire on their own
+const FETCHED_AT = 'X-Fetched-At'; // when a cached API response left the network
+const FROM_CACHE = 'X-DailySpend-Cache'; // set on responses served from the API cache
+const API_CACHE_DEFAULTS = { maxAge: 3 * 24 * 60 * 60 * 1000, maxEntries: 50 };
+const STATIC_ASSETS = new Set(precache);
+const INDEX_URL = `${base}index.html`;
 
 // Install event - cache static assets
 self.addEventListener('install', (event) => {
@@ -18,14 +21,11 @@ self.addEventListener('install', (event) => {
     caches.open(CACHE_NAME)
       .then((cache) => {
         console.log('Caching static assets');
-        return cache.addAll(STATIC_ASSETS);
-      })
-      .catch((error) => {
-        console.error('Failed to cache static assets:', error);
+        return cache.addAll([...STATIC_ASSETS]);
       })
   );
-  // Force the waiting service worker to become the active service worker
-  self.skipWaiting();
+  // An update waits until the page asks for it (SKIP_WAITING) so open
+  // sessions keep the code they were loaded with
 });
 
 // Activate event - clean up old caches
@@ -35,7 +35,7 @@ self.addEventListener('activate', (event) => {
       .then((cacheNames) => {
         return Promise.all(
           cacheNames.map((cacheName) => {
-            if (cacheName !== CACHE_NAME) {
+            if (cacheName !== CACHE_NAME && cacheName !== API_CACHE) {
               console.log('Deleting old cache:', cacheName);
               return caches.delete(cacheName);
             }
@@ -57,12 +57,11 @@ self.addEventListener('fetch', (event) => {
   // Handle different types of requests with appropriate strategies
   
   // For static assets (cache-first strategy)
-  if (url.origin === location.origin && 
-      (STATIC_ASSETS.includes(url.pathname) || 
-       STATIC_ASSETS.some(asset => url.pathname.endsWith(asset.replace(/^\//, ''))))) {
-    
+  if (url.origin === location.origin &&
+      (STATIC_ASSETS.has(url.pathname) || request.mode === 'navigate')) {
+
     event.respondWith(
-      caches.match(request)
+      caches.match(request, { ignoreSearch: true })
         .then((cachedResponse) => {
           if (cachedResponse) {
             return cachedResponse;
@@ -81,7 +80,7 @@ self.addEventListener('fetch', (event) => {
         .catch(() => {
           // Return a basic offline page if available
           if (request.mode === 'navigate') {
-            return caches.match('/index.html');
+            return caches.match(INDEX_URL);
           }
         })
     );
@@ -96,18 +95,17 @@ self.addEventListener('fetch', (event) => {
     event.respondWith(
       fetch(request)
         .then((response) => {
-          // Cache successful API responses for offline use (with short TTL)
+          // Cache successful API responses for offline use, stamped with their fetch time
           if (response.status === 200 && request.method === 'GET') {
-            const responseClone = response.clone();
-            caches.open(`${CACHE_NAME}-api`)
-              .then((cache) => cache.put(request, responseClone));
+            event.waitUntil(
+              stampResponse(response.clone(), { [FETCHED_AT]: String(Date.now()) })
+                .then((stamped) => caches.open(API_CACHE).then((cache) => cache.put(request, stamped)))
+                .then(() => cleanApiCache())
+            );
           }
           return response;
         })
-        .catch(() => {
-          // Fallback to cached API response if available
-          return caches.match(request);
-        })
+        .catch(() => matchApiCache(request))
     );
     return;
   }
@@ -119,24 +117,114 @@ self.addEventListener('fetch', (event) => {
   );
 });
 
-// Handle background sync for offline currency updates
+// Background rate refresh. The page stores which bases and providers to use
+// under meta/fx-config; fresh rate tables go into the 'rates' store and open
+// pages are told to merge them.
+const DB_NAME = 'dailyspend';
+const RATE_SYNC_TAG = 'currency-update';
+
+function openAppDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME);
+    // Creating or upgrading the schema is the page's job
+    req.onupgradeneeded = () => req.transaction.abort();
+    req.onsuccess = () => {
+      const db = req.result;
+      // don't hold up the page upgrading the schema
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbRequest(db, store, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function refreshRates() {
+  const db = await openAppDB();
+  try {
+    if (!db.objectStoreNames.contains('rates')) return;
+    const config = await idbRequest(db, 'meta', 'readonly', (os) => os.get('fx-config'));
+    if (!config || !config.bases) return;
+
+    const updated = [];
+    for (const base of config.bases) {
+      const entry = await fetchRateTable(base, { chain: config.chain || ['frankfurter'], apiKeys: config.apiKeys });
+      await idbRequest(db, 'rates', 'readwrite', (os) => os.put(entry, base));
+      updated.push(base);
+    }
+
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    clients.forEach((client) => client.postMessage({ type: 'RATES_UPDATED', bases: updated }));
+  } finally {
+    db.close();
+  }
+}
+
+// One-off sync after the page failed to fetch (retried by the browser if this throws)
 self.addEventListener('sync', (event) => {
-  if (event.tag === 'currency-update') {
-    event.waitUntil(
-      // Could implement background currency rate updates here
-      console.log('Background sync: currency-update')
-    );
+  if (event.tag === RATE_SYNC_TAG) {
+    event.waitUntil(refreshRates());
   }
 });
 
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === RATE_SYNC_TAG) {
+    event.waitUntil(Promise.all([
+      refreshRates(),
+      checkNotifications().catch((error) => console.warn('Budget reminder check failed:', error))
+    ]));
+  }
+});
+
+// Budget reminders while the app is closed, worked out from the snapshot the
+// page last stored under meta/notify. meta/notified is shared with the page.
+async function checkNotifications() {
+  if (self.Notification && Notification.permission !== 'granted') return;
+  const db = await openAppDB();
+  try {
+    const notify = await idbRequest(db, 'meta', 'readonly', (os) => os.get('notify'));
+    if (!notify) return;
+    setLanguage(notify.language);
+    const sent = (await idbRequest(db, 'meta', 'readonly', (os) => os.get('notified'))) || {};
+    const due = dueNotifications(notify.config, notify.digest, sent, new Date(), notify.calendar);
+    if (!due.length) return;
+    await idbRequest(db, 'meta', 'readwrite', (os) => os.put(markSent(sent, due), 'notified'));
+    await Promise.all(due.map((n) =>
+      self.registration.showNotification(n.title, notificationOptions(n, `${base}icons/icon-192.png`))
+    ));
+  } finally {
+    db.close();
+  }
+}
+
+// Opening a reminder focuses the app (or opens it)
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => new URL(client.url).pathname.startsWith(base));
+      return open ? open.focus() : self.clients.openWindow(base);
+    })
+  );
+});
+
 // Handle push notifications (if needed in the future)
 self.addEventListener('push', (event) => {
   if (event.data) {
     const data = event.data.json();
     const options = {
       body: data.body,
-      icon: '/public/icons/icon-192.png',
-      badge: '/public/icons/icon-192.png',
+      icon: `${base}icons/icon-192.png`,
+      badge: `${base}icons/icon-192.png`,
       tag: 'dailyspend-notification'
     };
 
@@ -146,16 +234,78 @@ self.addEventListener('push', (event) => {
   }
 });
 
-// Clean up old API cache periodically
+// Copies a response with extra headers (a fresh Response exposes them to the page)
+async function stampResponse(response, headers) {
+  const merged = new Headers(response.headers);
+  Object.entries(headers).forEach(([k, v]) => merged.set(k, v));
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: merged
+  });
+}
+
+// Limits set from the page's settings under meta/api-cache
+async function readApiCacheConfig() {
+  try {
+    const db = await openAppDB();
+    try {
+      const config = await idbRequest(db, 'meta', 'readonly', (os) => os.get('api-cache'));
+      return { ...API_CACHE_DEFAULTS, ...config };
+    } finally {
+      db.close();
+    }
+  } catch {
+    return API_CACHE_DEFAULTS;
+  }
+}
+
+// Offline fallback: serves a cached response younger than maxAge, flagged so
+// the page can tell how old it is. Anything older is dropped.
+async function matchApiCache(request) {
+  const cache = await caches.open(API_CACHE);
+  const cached = await cache.match(request);
+  if (!cached) return Response.error();
+  const { maxAge } = await readApiCacheConfig();
+  const fetchedAt = Number(cached.headers.get(FETCHED_AT)) || 0;
+  if (Date.now() - fetchedAt > maxAge) {
+    await cache.delete(request);
+    return Response.error();
+  }
+  return stampResponse(cached, { [FROM_CACHE]: 'stale' });
+}
+
+// Evicts entries past maxAge (or never stamped), then the oldest beyond maxEntries
+async function cleanApiCache(options = {}) {
+  const { maxAge, maxEntries } = { ...(await readApiCacheConfig()), ...options };
+  const cache = await caches.open(API_CACHE);
+  const requests = await cache.keys();
+  const entries = await Promise.all(requests.map(async (req) => {
+    const res = await cache.match(req);
+    return { req, fetchedAt: Number(res && res.headers.get(FETCHED_AT)) || 0 };
+  }));
+
+  const now = Date.now();
+  const expired = entries.filter((e) => now - e.fetchedAt > maxAge);
+  const overflow = entries
+    .filter((e) => now - e.fetchedAt <= maxAge)
+    .sort((a, b) => b.fetchedAt - a.fetchedAt)
+    .slice(maxEntries);
+
+  await Promise.all([...expired, ...overflow].map((e) => cache.delete(e.req)));
+}
+
+// Requests from the page: API cache cleanup, update activation, version lookup
 self.addEventListener('message', (event) => {
-  if (event.data && event.data.type === 'CLEAN_CACHE') {
-    event.waitUntil(
-      caches.open(`${CACHE_NAME}-api`)
-        .then((cache) => {
-          // Clean cache entries older than 24 hours
-          // This would need more sophisticated implementation
-          console.log('Cleaning old cache entries');
-        })
-    );
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (event.data && event.data.type === 'GET_VERSION') {
+    if (event.ports[0]) event.ports[0].postMessage({ version });
+  } else if (event.data && event.data.type === 'CLEAN_CACHE') {
+    const { maxAge, maxEntries } = event.data;
+    const overrides = {};
+    if (maxAge) overrides.maxAge = maxAge;
+    if (maxEntries) overrides.maxEntries = maxEntries;
+    event.waitUntil(cleanApiCache(overrides));
   }
 });
\ No newline at end of file
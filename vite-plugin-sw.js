@@ -0,0 +1,73 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync, statSync } from 'node:fs'
+import { join, relative, resolve } from 'node:path'
+import { build } from 'esbuild'
+
+function listFiles(dir) {
+  let out = []
+  for (const name of readdirSync(dir)) {
+    const path = join(dir, name)
+    if (statSync(path).isDirectory()) out = out.concat(listFiles(path))
+    else out.push(path)
+  }
+  return out
+}
+
+// Bundles src/sw.js into dist/sw.js with the list of files to precache and a
+// cache version derived from them, so every deploy gets a fresh cache and the
+// worker only ever requests files that exist under the configured base.
+export default function serviceWorker({ src = 'src/sw.js', fileName = 'sw.js' } = {}) {
+  let config
+
+  return {
+    name: 'dailyspend-service-worker',
+    apply: 'build',
+    enforce: 'post',
+
+    configResolved(resolved) {
+      config = resolved
+    },
+
+    async generateBundle(_options, bundle) {
+      const base = config.base
+      const emitted = Object.keys(bundle).filter(f => !f.endsWith('.map'))
+      const publicFiles = config.publicDir
+        ? listFiles(config.publicDir).map(f => relative(config.publicDir, f).split('\\').join('/'))
+        : []
+      const files = [...new Set([...emitted, ...publicFiles])].sort()
+
+      const precache = [base, ...files.map(f => base + f)]
+      const buildWorker = async version => {
+        const result = await build({
+          entryPoints: [resolve(config.root, src)],
+          bundle: true,
+          write: false,
+          format: 'iife',
+          minify: config.build.minify !== false,
+          target: 'es2020',
+          define: {
+            __SW_BUILD__: JSON.stringify({ version, base, precache })
+          }
+        })
+        return result.outputFiles[0].text
+      }
+
+      // Hashed from what is shipped, the worker itself included, so index.html
+      // (whose name never changes) and a change to the worker alone count too
+      // and an unchanged rebuild keeps the same version
+      const hash = createHash('sha256')
+      files.forEach(f => {
+        const output = bundle[f]
+        hash.update(f)
+        hash.update(output
+          ? output.type === 'chunk' ? output.code : output.source
+          : readFileSync(join(config.publicDir, f)))
+      })
+      hash.update(fileName)
+      hash.update(await buildWorker(null))
+      const version = hash.digest('hex').slice(0, 10)
+
+      this.emitFile({ type: 'asset', fileName, source: await buildWorker(version) })
+    }
+  }
+}
@@ -1,10 +1,14 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react-swc'
+import serviceWorker from './vite-plugin-sw'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: '/dailyspend/', // Replace 'dailyspend' with your repository name
   build: {
     outDir: 'dist'
+  },
+  test: {
+    globalSetup: './vitest-timezone.js'
   }
 })
\ No newline at end of file
@@ -0,0 +1,5 @@
+// Runs before the test workers start. A zone with DST, so the date tests
+// cover the 23- and 25-hour days the same way on every machine.
+export default function setup() {
+  process.env.TZ = 'Europe/Berlin';
+}